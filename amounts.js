@@ -0,0 +1,29 @@
+// Exact token amount handling. On-chain values are integer base units; they
+// are kept as BigInt/strings and only ever formatted, never run through floats.
+
+// 1500000n, 6 -> '1.500000'
+export function formatUnits(raw, decimals) {
+    const value = BigInt(raw);
+    const negative = value < 0n;
+    const digits = (negative ? -value : value).toString().padStart(decimals + 1, '0');
+    const whole = digits.slice(0, digits.length - decimals);
+    const fraction = digits.slice(digits.length - decimals);
+    
+    return `${negative ? '-' : ''}${whole}${decimals > 0 ? '.' + fraction : ''}`;
+}
+
+// '1.5', 6 -> 1500000n
+export function parseUnits(amount, decimals) {
+    const match = /^(-)?(\d+)(?:\.(\d+))?$/.exec(String(amount).trim());
+    if (!match) {
+        throw new Error(`Invalid amount: ${amount}`);
+    }
+    
+    const [, sign, whole, fraction = ''] = match;
+    if (fraction.length > decimals && /[1-9]/.test(fraction.slice(decimals))) {
+        throw new Error(`Amount ${amount} has more than ${decimals} decimals`);
+    }
+    
+    const value = BigInt(whole + fraction.slice(0, decimals).padEnd(decimals, '0'));
+    return sign ? -value : value;
+}
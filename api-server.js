@@ -0,0 +1,839 @@
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { EVENTS_CHANNEL, EVENT_TYPES, subscriptionMatches } from './events.js';
+import { registry } from './metrics.js';
+import { logger } from './logger.js';
+
+// Read-only HTTP API over the payments database
+const API_CACHE_SECONDS = parseInt(process.env.API_CACHE_SECONDS || '30');
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const SSE_HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS || '15000');
+const SSE_FETCH_SIZE = 1000;
+
+const log = logger.child({ component: 'api' });
+
+// Rolling leaderboard windows, built from hourly provider/sender buckets
+const ROLLING_WINDOWS = {
+    '24h': '24 hours',
+    '7d': '7 days',
+    '30d': '30 days'
+};
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Query parameter parsing
+function parseInteger(params, name, defaultValue, min, max) {
+    const raw = params.get(name);
+    if (raw === null || raw === '') return defaultValue;
+    
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new HttpError(400, `${name} must be an integer between ${min} and ${max}`);
+    }
+    return value;
+}
+
+function parseTimestamp(params, name) {
+    const raw = params.get(name);
+    if (raw === null || raw === '') return null;
+    
+    const date = /^\d+$/.test(raw) ? new Date(parseInt(raw) * 1000) : new Date(raw);
+    if (isNaN(date.getTime())) {
+        throw new HttpError(400, `${name} must be an ISO 8601 date or unix timestamp`);
+    }
+    return date;
+}
+
+function parseAmount(params, name) {
+    const raw = params.get(name);
+    if (raw === null || raw === '') return null;
+    
+    if (!/^\d+(\.\d{1,6})?$/.test(raw)) {
+        throw new HttpError(400, `${name} must be a USDC amount with at most 6 decimals`);
+    }
+    return raw;
+}
+
+function parseChain(params) {
+    return parseInteger(params, 'chain', null, 1, Number.MAX_SAFE_INTEGER);
+}
+
+function parsePagination(params) {
+    return {
+        limit: parseInteger(params, 'limit', DEFAULT_PAGE_SIZE, 1, MAX_PAGE_SIZE),
+        offset: parseInteger(params, 'offset', 0, 0, Number.MAX_SAFE_INTEGER)
+    };
+}
+
+// Path segments are percent-encoded names, namehashes or addresses
+function parsePathKey(match) {
+    try {
+        return decodeURIComponent(match[1]);
+    } catch {
+        throw new HttpError(400, 'Malformed percent-encoding in path');
+    }
+}
+
+// Route handlers: (pool, params, match) => response body
+async function getLeaderboard(pool, params) {
+    const window = params.get('window') || 'all';
+    const chainId = parseChain(params);
+    if (window === 'week' && chainId === null) {
+        return getWeeklyLeaderboard(pool, params);
+    }
+    if (window !== 'all') {
+        return getRollingLeaderboard(pool, params, window, chainId);
+    }
+    if (chainId !== null) {
+        return getChainLeaderboard(pool, params, chainId);
+    }
+    
+    const { limit, offset } = parsePagination(params);
+    
+    const result = await pool.query(`
+        SELECT
+            RANK() OVER (ORDER BY total_usdc_received DESC) as rank,
+            provider_entry_namehash, provider_entry_name, provider_id,
+            wallet_address, total_usdc_received, transaction_count,
+            unique_sender_count, first_transaction_at, last_transaction_at,
+            updated_at
+        FROM provider_leaderboard
+        ORDER BY total_usdc_received DESC, provider_entry_name
+        LIMIT $1 OFFSET $2
+    `, [limit, offset]);
+    const countResult = await pool.query('SELECT COUNT(*) as total FROM provider_leaderboard');
+    
+    return {
+        data: result.rows,
+        pagination: { limit, offset, total: parseInt(countResult.rows[0].total) }
+    };
+}
+
+// Totals on a single chain
+async function getChainLeaderboard(pool, params, chainId) {
+    const { limit, offset } = parsePagination(params);
+    
+    const result = await pool.query(`
+        SELECT
+            RANK() OVER (ORDER BY cl.total_usdc_received DESC) as rank,
+            pl.provider_entry_namehash, pl.provider_entry_name, pl.provider_id,
+            pl.wallet_address, cl.chain_id, cl.total_usdc_received,
+            cl.transaction_count, cl.unique_sender_count,
+            cl.first_transaction_at, cl.last_transaction_at, cl.updated_at
+        FROM provider_chain_leaderboard cl
+        JOIN provider_leaderboard pl ON pl.provider_entry_namehash = cl.provider_entry_namehash
+        WHERE cl.chain_id = $1
+        ORDER BY cl.total_usdc_received DESC, pl.provider_entry_name
+        LIMIT $2 OFFSET $3
+    `, [chainId, limit, offset]);
+    const countResult = await pool.query(
+        'SELECT COUNT(*) as total FROM provider_chain_leaderboard WHERE chain_id = $1',
+        [chainId]
+    );
+    
+    return {
+        chain_id: chainId,
+        data: result.rows,
+        pagination: { limit, offset, total: parseInt(countResult.rows[0].total) }
+    };
+}
+
+// Rolling windows, and the current week on a single chain (the weekly rollup
+// is combined across chains), come from the hourly buckets
+async function getRollingLeaderboard(pool, params, window, chainId) {
+    let since;
+    if (window === 'week') {
+        since = "date_trunc('week', NOW() AT TIME ZONE 'UTC')";
+    } else {
+        const interval = ROLLING_WINDOWS[window];
+        if (!interval) {
+            throw new HttpError(400, `window must be one of: all, week, ${Object.keys(ROLLING_WINDOWS).join(', ')}`);
+        }
+        // The current (partial) hour counts as the newest bucket
+        since = `date_trunc('hour', NOW() AT TIME ZONE 'UTC') - INTERVAL '${interval}' + INTERVAL '1 hour'`;
+    }
+    const { limit, offset } = parsePagination(params);
+    const chainValues = chainId === null ? [] : [chainId];
+    
+    const result = await pool.query(`
+        SELECT
+            RANK() OVER (ORDER BY SUM(h.volume_usdc) DESC) as rank,
+            pl.provider_entry_namehash, pl.provider_entry_name, pl.provider_id,
+            pl.wallet_address,
+            SUM(h.volume_usdc) as volume_usdc,
+            SUM(h.transaction_count) as transaction_count,
+            COUNT(DISTINCT h.from_address) as unique_sender_count
+        FROM provider_sender_hourly h
+        JOIN provider_leaderboard pl ON pl.provider_entry_namehash = h.provider_entry_namehash
+        WHERE h.hour >= ${since}
+        ${chainId === null ? '' : 'AND h.chain_id = $3'}
+        GROUP BY pl.provider_entry_namehash, pl.provider_entry_name, pl.provider_id, pl.wallet_address
+        ORDER BY SUM(h.volume_usdc) DESC, pl.provider_entry_name
+        LIMIT $1 OFFSET $2
+    `, [limit, offset, ...chainValues]);
+    const countResult = await pool.query(`
+        SELECT COUNT(DISTINCT provider_entry_namehash) as total
+        FROM provider_sender_hourly
+        WHERE hour >= ${since}
+        ${chainId === null ? '' : 'AND chain_id = $1'}
+    `, chainValues);
+    
+    return {
+        window,
+        ...(chainId === null ? {} : { chain_id: chainId }),
+        data: result.rows,
+        pagination: { limit, offset, total: parseInt(countResult.rows[0].total) }
+    };
+}
+
+// Current calendar week (UTC, starting Monday) from the weekly rollup
+async function getWeeklyLeaderboard(pool, params) {
+    const { limit, offset } = parsePagination(params);
+    const week = "date_trunc('week', NOW() AT TIME ZONE 'UTC')::date";
+    
+    const result = await pool.query(`
+        SELECT
+            RANK() OVER (ORDER BY w.volume_usdc DESC) as rank,
+            pl.provider_entry_namehash, pl.provider_entry_name, pl.provider_id,
+            pl.wallet_address, w.week_start, w.volume_usdc,
+            w.transaction_count, w.unique_sender_count
+        FROM provider_weekly_stats w
+        JOIN provider_leaderboard pl ON pl.provider_entry_namehash = w.provider_entry_namehash
+        WHERE w.week_start = ${week}
+        ORDER BY w.volume_usdc DESC, pl.provider_entry_name
+        LIMIT $1 OFFSET $2
+    `, [limit, offset]);
+    const countResult = await pool.query(`
+        SELECT COUNT(*) as total FROM provider_weekly_stats WHERE week_start = ${week}
+    `);
+    
+    return {
+        window: 'week',
+        data: result.rows,
+        pagination: { limit, offset, total: parseInt(countResult.rows[0].total) }
+    };
+}
+
+async function findProvider(pool, key) {
+    const result = await pool.query(`
+        SELECT * FROM (
+            SELECT
+                RANK() OVER (ORDER BY total_usdc_received DESC) as rank,
+                provider_entry_namehash, provider_entry_name, provider_id,
+                wallet_address, total_usdc_received, transaction_count,
+                unique_sender_count, first_transaction_at, last_transaction_at,
+                updated_at
+            FROM provider_leaderboard
+        ) ranked
+        WHERE provider_entry_namehash = LOWER($1)
+        OR provider_entry_name = $1
+        OR provider_id = $1
+        LIMIT 1
+    `, [key]);
+    
+    if (result.rows.length === 0) {
+        throw new HttpError(404, `Provider ${key} not found`);
+    }
+    return result.rows[0];
+}
+
+async function getProvider(pool, params, match) {
+    const provider = await findProvider(pool, parsePathKey(match));
+    
+    const senders = await pool.query(`
+        SELECT
+            from_address,
+            from_hypermap_name,
+            COUNT(*) as transaction_count,
+            SUM(value_usdc) as total_usdc,
+            SUM(value_raw) as total_raw,
+            MAX(timestamp) as last_transaction_at
+        FROM hypermap_transactions
+        WHERE provider_entry_namehash = $1
+        GROUP BY from_address, from_hypermap_name
+        ORDER BY SUM(value_usdc) DESC
+        LIMIT 10
+    `, [provider.provider_entry_namehash]);
+    
+    const wallets = await pool.query(`
+        SELECT chain_id, wallet_address, valid_from_block, valid_to_block
+        FROM provider_wallets
+        WHERE provider_entry_namehash = $1
+        ORDER BY chain_id, valid_from_block
+    `, [provider.provider_entry_namehash]);
+    
+    const chains = await pool.query(`
+        SELECT chain_id, total_usdc_received, transaction_count, unique_sender_count,
+               first_transaction_at, last_transaction_at
+        FROM provider_chain_leaderboard
+        WHERE provider_entry_namehash = $1
+        ORDER BY total_usdc_received DESC
+    `, [provider.provider_entry_namehash]);
+    
+    return {
+        data: { ...provider, chains: chains.rows, wallets: wallets.rows, top_senders: senders.rows }
+    };
+}
+
+// Daily or weekly trend for one provider
+async function getProviderRollups(pool, params, match) {
+    const provider = await findProvider(pool, parsePathKey(match));
+    const period = params.get('period') || 'daily';
+    if (period !== 'daily' && period !== 'weekly') {
+        throw new HttpError(400, 'period must be daily or weekly');
+    }
+    
+    const table = period === 'daily' ? 'provider_daily_stats' : 'provider_weekly_stats';
+    const column = period === 'daily' ? 'day' : 'week_start';
+    const since = parseTimestamp(params, 'since');
+    const until = parseTimestamp(params, 'until');
+    const limit = parseInteger(params, 'limit', 90, 1, MAX_PAGE_SIZE);
+    
+    const result = await pool.query(`
+        SELECT * FROM (
+            SELECT ${column} as period_start, transaction_count, volume_usdc, unique_sender_count
+            FROM ${table}
+            WHERE provider_entry_namehash = $1
+            AND ($2::timestamp IS NULL OR ${column} >= $2::timestamp)
+            AND ($3::timestamp IS NULL OR ${column} < $3::timestamp)
+            ORDER BY ${column} DESC
+            LIMIT $4
+        ) recent
+        ORDER BY period_start
+    `, [provider.provider_entry_namehash, since, until, limit]);
+    
+    return {
+        data: {
+            provider_entry_namehash: provider.provider_entry_namehash,
+            provider_entry_name: provider.provider_entry_name,
+            period,
+            rollups: result.rows
+        }
+    };
+}
+
+async function getSenderLeaderboard(pool, params) {
+    const { limit, offset } = parsePagination(params);
+    
+    const result = await pool.query(`
+        SELECT
+            RANK() OVER (ORDER BY total_usdc_spent DESC) as rank,
+            from_address, from_hypermap_name, total_usdc_spent, transaction_count,
+            provider_count, first_transaction_at, last_transaction_at, updated_at
+        FROM sender_leaderboard
+        ORDER BY total_usdc_spent DESC, from_hypermap_name
+        LIMIT $1 OFFSET $2
+    `, [limit, offset]);
+    const countResult = await pool.query('SELECT COUNT(*) as total FROM sender_leaderboard');
+    
+    return {
+        data: result.rows,
+        pagination: { limit, offset, total: parseInt(countResult.rows[0].total) }
+    };
+}
+
+// Sender detail by TBA address or Hypermap name, with the providers it paid
+async function getSender(pool, params, match) {
+    const key = parsePathKey(match);
+    const result = await pool.query(`
+        SELECT * FROM (
+            SELECT
+                RANK() OVER (ORDER BY total_usdc_spent DESC) as rank,
+                from_address, from_hypermap_name, total_usdc_spent, transaction_count,
+                provider_count, first_transaction_at, last_transaction_at, updated_at
+            FROM sender_leaderboard
+        ) ranked
+        WHERE from_address = LOWER($1)
+        OR from_hypermap_name = $1
+        LIMIT 1
+    `, [key]);
+    
+    if (result.rows.length === 0) {
+        throw new HttpError(404, `Sender ${key} not found`);
+    }
+    const sender = result.rows[0];
+    
+    const providers = await pool.query(`
+        SELECT
+            p.provider_entry_namehash,
+            pl.provider_entry_name,
+            SUM(p.transaction_count) as transaction_count,
+            SUM(p.total_usdc) as total_usdc,
+            MIN(p.first_transaction_at) as first_transaction_at,
+            MAX(p.last_transaction_at) as last_transaction_at
+        FROM provider_sender_pairs p
+        LEFT JOIN provider_leaderboard pl ON pl.provider_entry_namehash = p.provider_entry_namehash
+        WHERE p.from_address = $1
+        GROUP BY p.provider_entry_namehash, pl.provider_entry_name
+        ORDER BY SUM(p.total_usdc) DESC
+    `, [sender.from_address]);
+    
+    return { data: { ...sender, providers: providers.rows } };
+}
+
+// Sender -> provider flow matrix, one row per pair that has exchanged payments.
+// Pairs are summed across chains unless ?chain= picks one.
+async function getFlows(pool, params) {
+    const { limit, offset } = parsePagination(params);
+    const conditions = [];
+    const values = [];
+    const addCondition = (sql, value) => {
+        values.push(value);
+        conditions.push(sql.replace('?', `$${values.length}`));
+    };
+    
+    const chainId = parseChain(params);
+    let chainFilter = '';
+    if (chainId !== null) {
+        values.push(chainId);
+        chainFilter = `WHERE chain_id = $${values.length}`;
+    }
+    
+    const provider = params.get('provider');
+    if (provider) {
+        if (provider.startsWith('0x')) {
+            addCondition('p.provider_entry_namehash = ?', provider.toLowerCase());
+        } else {
+            addCondition('pl.provider_entry_name = ?', provider);
+        }
+    }
+    
+    const sender = params.get('sender');
+    if (sender) {
+        if (sender.startsWith('0x')) {
+            addCondition('p.from_address = ?', sender.toLowerCase());
+        } else {
+            addCondition('sl.from_hypermap_name = ?', sender);
+        }
+    }
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const joins = `
+        FROM (
+            SELECT
+                provider_entry_namehash, from_address,
+                SUM(transaction_count) as transaction_count,
+                SUM(total_usdc) as total_usdc,
+                MIN(first_transaction_at) as first_transaction_at,
+                MAX(last_transaction_at) as last_transaction_at
+            FROM provider_sender_pairs
+            ${chainFilter}
+            GROUP BY provider_entry_namehash, from_address
+        ) p
+        LEFT JOIN provider_leaderboard pl ON pl.provider_entry_namehash = p.provider_entry_namehash
+        LEFT JOIN sender_leaderboard sl ON sl.from_address = p.from_address
+    `;
+    
+    const result = await pool.query(`
+        SELECT
+            p.from_address, sl.from_hypermap_name,
+            p.provider_entry_namehash, pl.provider_entry_name,
+            p.transaction_count, p.total_usdc,
+            p.first_transaction_at, p.last_transaction_at
+        ${joins}
+        ${where}
+        ORDER BY p.total_usdc DESC, p.from_address, p.provider_entry_namehash
+        LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `, [...values, limit, offset]);
+    const countResult = await pool.query(`
+        SELECT COUNT(*) as total ${joins} ${where}
+    `, values);
+    
+    return {
+        data: result.rows,
+        pagination: { limit, offset, total: parseInt(countResult.rows[0].total) }
+    };
+}
+
+async function getTransactions(pool, params) {
+    const { limit, offset } = parsePagination(params);
+    const conditions = [];
+    const values = [];
+    const addCondition = (sql, value) => {
+        values.push(value);
+        conditions.push(sql.replace('?', `$${values.length}`));
+    };
+    
+    const chainId = parseChain(params);
+    if (chainId !== null) {
+        addCondition('chain_id = ?', chainId);
+    }
+    
+    const provider = params.get('provider');
+    if (provider) {
+        if (provider.startsWith('0x') && provider.length === 66) {
+            addCondition('provider_entry_namehash = ?', provider.toLowerCase());
+        } else if (provider.startsWith('0x')) {
+            addCondition('to_address = ?', provider.toLowerCase());
+        } else {
+            addCondition('provider_entry_name = ?', provider);
+        }
+    }
+    
+    const sender = params.get('sender');
+    if (sender) {
+        if (sender.startsWith('0x')) {
+            addCondition('from_address = ?', sender.toLowerCase());
+        } else {
+            addCondition('from_hypermap_name = ?', sender);
+        }
+    }
+    
+    const namespace = params.get('namespace');
+    if (namespace) {
+        addCondition('namespace = ?', namespace);
+    }
+    
+    const token = params.get('token');
+    if (token) {
+        if (token.startsWith('0x')) {
+            addCondition('token_address = ?', token.toLowerCase());
+        } else {
+            addCondition('token_symbol = ?', token);
+        }
+    }
+    
+    const since = parseTimestamp(params, 'since');
+    const until = parseTimestamp(params, 'until');
+    const minAmount = parseAmount(params, 'min_amount');
+    const maxAmount = parseAmount(params, 'max_amount');
+    if (since) addCondition('timestamp >= ?', since);
+    if (until) addCondition('timestamp < ?', until);
+    if (minAmount) addCondition('value_usdc >= ?', minAmount);
+    if (maxAmount) addCondition('value_usdc <= ?', maxAmount);
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    
+    const result = await pool.query(`
+        SELECT
+            chain_id, tx_hash, block_number, timestamp, from_address,
+            from_hypermap_name, to_address, to_provider_id,
+            provider_entry_name, provider_entry_namehash, namespace,
+            token_address, token_symbol, value_usdc, value_raw
+        FROM hypermap_transactions
+        ${where}
+        ORDER BY timestamp DESC, chain_id, block_number DESC, tx_hash
+        LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+    `, [...values, limit, offset]);
+    const countResult = await pool.query(`
+        SELECT COUNT(*) as total FROM hypermap_transactions ${where}
+    `, values);
+    
+    return {
+        data: result.rows,
+        pagination: { limit, offset, total: parseInt(countResult.rows[0].total) }
+    };
+}
+
+async function getStatus(pool) {
+    const chains = await pool.query(`
+        SELECT
+            s.chain_id, s.last_processed_block, s.updated_at,
+            COUNT(q.id) as pending_ranges,
+            MIN(q.from_block) as oldest_pending_block
+        FROM chain_state s
+        LEFT JOIN provider_retry_queue q ON q.chain_id = s.chain_id
+        GROUP BY s.chain_id, s.last_processed_block, s.updated_at
+        ORDER BY s.chain_id
+    `);
+    const lastRun = await pool.query(`
+        SELECT run_id, status, started_at, finished_at, transactions_inserted, error
+        FROM tracker_runs
+        ORDER BY finished_at DESC
+        LIMIT 1
+    `);
+    const totals = await pool.query(`
+        SELECT
+            (SELECT COUNT(*) FROM provider_leaderboard) as provider_count,
+            (SELECT COUNT(*) FROM sender_leaderboard) as sender_count,
+            (SELECT COUNT(*) FROM hypermap_transactions) as transaction_count
+    `);
+    
+    return {
+        data: {
+            last_run: lastRun.rows[0] ?? null,
+            chains: chains.rows.map(chain => ({
+                chain_id: chain.chain_id,
+                last_processed_block: chain.last_processed_block,
+                updated_at: chain.updated_at,
+                retry_backlog: {
+                    pending_ranges: parseInt(chain.pending_ranges),
+                    oldest_pending_block: chain.oldest_pending_block
+                }
+            })),
+            provider_count: parseInt(totals.rows[0].provider_count),
+            sender_count: parseInt(totals.rows[0].sender_count),
+            transaction_count: parseInt(totals.rows[0].transaction_count)
+        }
+    };
+}
+
+// Server-Sent Events over payment_events. One LISTEN connection is shared by
+// every open stream while any are open; each stream keeps its own cursor, so
+// a client reconnecting with Last-Event-ID gets everything it missed.
+class EventStream {
+    constructor(getPool) {
+        this.getPool = getPool;
+        this.clients = new Set();
+        this.listening = null;
+        this.heartbeat = null;
+        this.polling = Promise.resolve();
+    }
+    
+    async open(req, res, params) {
+        const types = params.get('types');
+        const subscription = {
+            events: types ? types.split(',') : EVENT_TYPES,
+            providers: params.get('provider') ? [params.get('provider')] : null
+        };
+        if (subscription.events.some(type => !EVENT_TYPES.includes(type))) {
+            throw new HttpError(400, `types must be a comma-separated list of ${EVENT_TYPES.join(', ')}`);
+        }
+        
+        const lastEventId = req.headers['last-event-id'] ?? params.get('last_event_id');
+        if (lastEventId != null && !/^\d+$/.test(lastEventId)) {
+            throw new HttpError(400, 'Last-Event-ID must be an event id');
+        }
+        
+        // Listen before reading the cursor so no event can fall in between
+        let cursor = lastEventId == null ? null : Number(lastEventId);
+        try {
+            await this.listen();
+            if (cursor === null) {
+                const latest = await this.getPool().query('SELECT COALESCE(MAX(id), 0) as id FROM payment_events');
+                cursor = Number(latest.rows[0].id);
+            }
+        } catch (error) {
+            if (this.clients.size === 0) {
+                this.stopListening();
+            }
+            throw error;
+        }
+        
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'Access-Control-Allow-Origin': '*'
+        });
+        res.write('retry: 5000\n\n');
+        
+        const client = { res, subscription, cursor };
+        this.clients.add(client);
+        res.on('close', () => this.remove(client));
+        
+        if (lastEventId != null) {
+            this.poll();
+        }
+    }
+    
+    listen() {
+        if (!this.listening) {
+            this.listening = this.startListening().catch(error => {
+                this.listening = null;
+                throw error;
+            });
+        }
+        return this.listening;
+    }
+    
+    async startListening() {
+        const listener = await this.getPool().connect();
+        listener.on('notification', () => this.poll());
+        listener.on('error', error => {
+            log.error('Event stream listener error', { error: error.message });
+            this.closeAll();
+        });
+        await listener.query(`LISTEN ${EVENTS_CHANNEL}`);
+        
+        this.heartbeat = setInterval(() => {
+            for (const client of this.clients) {
+                client.res.write(': keepalive\n\n');
+            }
+        }, SSE_HEARTBEAT_MS);
+        return listener;
+    }
+    
+    async stopListening() {
+        const listening = this.listening;
+        this.listening = null;
+        clearInterval(this.heartbeat);
+        
+        const listener = await listening?.catch(() => null);
+        if (!listener) return;
+        listener.removeAllListeners('notification');
+        try {
+            await listener.query(`UNLISTEN ${EVENTS_CHANNEL}`);
+            listener.release();
+        } catch (error) {
+            listener.release(error);
+        }
+    }
+    
+    remove(client) {
+        this.clients.delete(client);
+        if (this.clients.size === 0) {
+            this.stopListening();
+        }
+    }
+    
+    // Drop every stream (clients reconnect with their Last-Event-ID)
+    closeAll() {
+        for (const client of this.clients) {
+            client.res.end();
+        }
+        this.clients.clear();
+        this.stopListening();
+    }
+    
+    // Polls run one at a time; each sends every client the events past its cursor
+    poll() {
+        this.polling = this.polling
+            .then(() => this.sendNewEvents())
+            .catch(error => log.error('Event stream error', { error: error.message }));
+        return this.polling;
+    }
+    
+    async sendNewEvents() {
+        while (this.clients.size > 0) {
+            const from = Math.min(...[...this.clients].map(client => client.cursor));
+            const result = await this.getPool().query(`
+                SELECT id, event_type, provider_entry_name, payload
+                FROM payment_events
+                WHERE id > $1
+                ORDER BY id
+                LIMIT $2
+            `, [from, SSE_FETCH_SIZE]);
+            
+            for (const event of result.rows) {
+                const id = Number(event.id);
+                for (const client of this.clients) {
+                    if (id <= client.cursor) continue;
+                    client.cursor = id;
+                    if (subscriptionMatches(client.subscription, event)) {
+                        client.res.write(`id: ${id}\nevent: ${event.event_type}\ndata: ${JSON.stringify(event.payload)}\n\n`);
+                    }
+                }
+            }
+            
+            if (result.rows.length < SSE_FETCH_SIZE) return;
+        }
+    }
+}
+
+const routes = [
+    { pattern: /^\/leaderboard$/, handler: getLeaderboard },
+    { pattern: /^\/providers\/([^/]+)$/, handler: getProvider },
+    { pattern: /^\/providers\/([^/]+)\/rollups$/, handler: getProviderRollups },
+    { pattern: /^\/senders$/, handler: getSenderLeaderboard },
+    { pattern: /^\/senders\/([^/]+)$/, handler: getSender },
+    { pattern: /^\/flows$/, handler: getFlows },
+    { pattern: /^\/transactions$/, handler: getTransactions },
+    { pattern: /^\/status$/, handler: getStatus }
+];
+
+function sendJson(req, res, status, body, headers = {}) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        'Access-Control-Allow-Origin': '*',
+        ...headers
+    });
+    res.end(req.method === 'HEAD' ? undefined : payload);
+}
+
+// Serve the body with an ETag so polling clients get cheap 304s
+function sendCached(req, res, body) {
+    const etag = `W/"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url')}"`;
+    const headers = {
+        'Cache-Control': `public, max-age=${API_CACHE_SECONDS}`,
+        'ETag': etag
+    };
+    
+    if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+    }
+    sendJson(req, res, 200, body, headers);
+}
+
+// Liveness, readiness and metrics for orchestrators and Prometheus; never cached
+async function sendHealth(req, res, pathname, getPool, readiness) {
+    const noStore = { 'Cache-Control': 'no-store' };
+    
+    if (pathname === '/healthz') {
+        sendJson(req, res, 200, { status: 'ok', uptime_seconds: Math.floor(process.uptime()) }, noStore);
+        return;
+    }
+    
+    if (pathname === '/readyz') {
+        const body = await readiness();
+        try {
+            await getPool().query('SELECT 1');
+        } catch (error) {
+            body.ready = false;
+            body.reasons = [...body.reasons, `Payments database unreachable: ${error.message}`];
+        }
+        sendJson(req, res, body.ready ? 200 : 503, body, noStore);
+        return;
+    }
+    
+    const payload = registry.render();
+    res.writeHead(200, {
+        'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        ...noStore
+    });
+    res.end(req.method === 'HEAD' ? undefined : payload);
+}
+
+// `readiness` reports whether the tracker feeding this API is healthy; the
+// default only checks the database
+export function createApiServer(getPool, { readiness = async () => ({ ready: true, reasons: [] }) } = {}) {
+    const eventStream = new EventStream(getPool);
+    
+    return http.createServer(async (req, res) => {
+        try {
+            if (req.method !== 'GET' && req.method !== 'HEAD') {
+                throw new HttpError(405, `Method ${req.method} not allowed`);
+            }
+            
+            const url = new URL(req.url, 'http://localhost');
+            if (url.pathname === '/events') {
+                await eventStream.open(req, res, url.searchParams);
+                return;
+            }
+            if (['/healthz', '/readyz', '/metrics'].includes(url.pathname)) {
+                await sendHealth(req, res, url.pathname, getPool, readiness);
+                return;
+            }
+            
+            for (const route of routes) {
+                const match = url.pathname.match(route.pattern);
+                if (match) {
+                    const body = await route.handler(getPool(), url.searchParams, match);
+                    sendCached(req, res, body);
+                    return;
+                }
+            }
+            throw new HttpError(404, `No route for ${url.pathname}`);
+        
+        } catch (error) {
+            if (error instanceof HttpError) {
+                sendJson(req, res, error.status, { error: error.message }, error.status === 405 ? { 'Allow': 'GET, HEAD' } : {});
+                return;
+            }
+            
+            log.error('API request failed', { path: req.url, error: error.message });
+            sendJson(req, res, 500, { error: 'Internal server error' });
+        }
+    });
+}
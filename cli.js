@@ -0,0 +1,139 @@
+// Command line parsing for payment-tracker.js:
+//   node payment-tracker.js [command] [provider] [--option value ...]
+// With no command the tracker runs once. --daemon and --rebuild-leaderboard
+// are accepted as commands for existing deployments.
+export const USAGE = `Usage: node payment-tracker.js [command] [options]
+
+Commands:
+  run                              index new blocks once (default)
+  daemon                           index on an interval and serve the HTTP API
+  rebuild-leaderboard              recompute all aggregates and report drift
+  status                           show each chain's cursor, head and retry backlog
+  backfill --from N --to M         re-fetch a block range below the cursor without moving it
+  reindex <provider> [--from N] [--to M]
+                                   re-fetch one provider (default: every indexed block)
+                                   and recount its totals
+  dry-run --from N --to M [--provider NAME]
+                                   print the payments a range would add, writing nothing
+  reconcile [--from N] [--to M] [--provider NAME] [--sample K] [--repair]
+                                   re-fetch the indexed range (or K random chunks of it)
+                                   and audit stored payments against it; --repair fixes
+                                   missing, extra and mismatched rows
+  flagged [--provider NAME]        list payments the filters keep out of the leaderboards
+  unflag <tx-hash>                 count a flagged payment after all
+  reset --chain ID [--to-block N] [--yes]
+                                   roll a chain back to block N (default: before its
+                                   startBlock), deleting everything indexed above it
+
+Options:
+  --chain ID                       limit to one configured chain (default: all)
+
+Commands that write (run, rebuild-leaderboard, backfill, reindex, reconcile
+--repair, unflag, reset) exit with an error while a daemon or another of them
+holds the tracker lock.`;
+
+// Options each command accepts, and their value type
+const COMMANDS = {
+    run: {},
+    daemon: {},
+    'rebuild-leaderboard': {},
+    status: { chain: 'integer' },
+    backfill: { chain: 'integer', from: 'integer', to: 'integer' },
+    reindex: { chain: 'integer', from: 'integer', to: 'integer' },
+    'dry-run': { chain: 'integer', from: 'integer', to: 'integer', provider: 'string' },
+    reconcile: { chain: 'integer', from: 'integer', to: 'integer', provider: 'string', sample: 'integer', repair: 'boolean' },
+    flagged: { chain: 'integer', provider: 'string' },
+    unflag: { chain: 'integer' },
+    reset: { chain: 'integer', 'to-block': 'integer', yes: 'boolean' },
+    help: {}
+};
+
+// Commands that change payments, totals or cursors
+const WRITES = new Set(['run', 'rebuild-leaderboard', 'backfill', 'reindex', 'unflag', 'reset']);
+
+// Whether a parsed command line must hold the tracker lock while it runs
+export function needsTrackerLock({ command, options }) {
+    return WRITES.has(command) || (command === 'reconcile' && Boolean(options.repair));
+}
+
+const REQUIRED = {
+    backfill: ['from', 'to'],
+    'dry-run': ['from', 'to'],
+    reset: ['chain']
+};
+
+export function parseCliArgs(argv) {
+    const args = [...argv];
+    let command = 'run';
+    if (args[0] === '--daemon' || args[0] === '--rebuild-leaderboard' || args[0] === '--help') {
+        command = args.shift().slice(2);
+    } else if (args.length > 0 && !args[0].startsWith('--')) {
+        command = args.shift();
+    }
+    if (!COMMANDS[command]) {
+        throw new Error(`Unknown command "${command}"`);
+    }
+    
+    const allowed = COMMANDS[command];
+    const options = {};
+    const positional = [];
+    while (args.length > 0) {
+        const arg = args.shift();
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        
+        let [name, value] = arg.slice(2).split(/=(.*)/s);
+        const type = allowed[name];
+        if (!type) {
+            throw new Error(`${command} does not accept --${name}`);
+        }
+        if (type === 'boolean') {
+            options[name] = true;
+            continue;
+        }
+        
+        if (value === undefined) {
+            value = args.shift();
+        }
+        if (value === undefined || value === '') {
+            throw new Error(`--${name} needs a value`);
+        }
+        if (type === 'integer') {
+            if (!/^\d+$/.test(value)) {
+                throw new Error(`--${name} must be a non-negative integer`);
+            }
+            value = parseInt(value);
+        }
+        options[name] = value;
+    }
+    
+    for (const name of REQUIRED[command] || []) {
+        if (options[name] === undefined) {
+            throw new Error(`${command} needs --${name}`);
+        }
+    }
+    if (options.from !== undefined && options.to !== undefined && options.from > options.to) {
+        throw new Error('--from must not be after --to');
+    }
+    if (options.sample === 0) {
+        throw new Error('--sample must be at least 1');
+    }
+    
+    if (command === 'reindex') {
+        if (positional.length !== 1) {
+            throw new Error('reindex needs exactly one provider name or namehash');
+        }
+        options.provider = positional[0];
+    } else if (command === 'unflag') {
+        if (positional.length !== 1 || !/^0x[0-9a-fA-F]{64}$/.test(positional[0])) {
+            throw new Error('unflag needs exactly one transaction hash');
+        }
+        options.tx = positional[0];
+    } else if (positional.length > 0) {
+        throw new Error(`Unexpected argument "${positional[0]}"`);
+    }
+    
+    return { command, options };
+}
@@ -0,0 +1,177 @@
+import fetch from 'node-fetch';
+import { RateLimiter, withRetry } from '../retry.js';
+import { logger } from '../logger.js';
+
+const log = logger.child({ component: 'etherscan' });
+
+// Etherscan v2 API backend: one `tokentx` query per wallet and token
+export class EtherscanDataSource {
+    constructor(options) {
+        this.apiUrl = options.etherscanApiUrl;
+        this.apiKey = options.etherscanApiKey;
+        this.chainId = options.chainId;
+        this.tokenAddresses = options.tokenAddresses;
+        this.pageSize = options.etherscanPageSize;
+        this.resultWindow = options.etherscanResultWindow; // page * offset cap
+        this.addressesPerCall = 1;
+        this.rateLimiter = new RateLimiter(options.etherscanCallsPerSecond ?? 1);
+    }
+
+    async getBlockHeight() {
+        await this.rateLimiter.wait();
+        
+        return withRetry(async () => {
+            const url = new URL(this.apiUrl);
+            url.searchParams.append('module', 'proxy');
+            url.searchParams.append('action', 'eth_blockNumber');
+            url.searchParams.append('chainid', this.chainId);
+            url.searchParams.append('apikey', this.apiKey);
+            
+            const response = await fetch(url.toString(), {
+                timeout: 10000,
+                headers: { 'User-Agent': 'Hypergrid-Payment-Tracker/1.0' }
+            });
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            const data = await response.json();
+            
+            if (data.error) {
+                throw new Error(`API Error: ${data.error.message}`);
+            }
+            // Rate limits and key problems come back as status "0" with the reason in result
+            if (data.status === '0') {
+                throw new Error(`API Error: ${data.result || data.message}`);
+            }
+            
+            return parseInt(data.result, 16);
+        }, { source: 'etherscan' });
+    }
+
+    async getBlockHash(blockNumber) {
+        await this.rateLimiter.wait();
+        
+        return withRetry(async () => {
+            const url = new URL(this.apiUrl);
+            url.searchParams.append('module', 'proxy');
+            url.searchParams.append('action', 'eth_getBlockByNumber');
+            url.searchParams.append('chainid', this.chainId);
+            url.searchParams.append('tag', '0x' + blockNumber.toString(16));
+            url.searchParams.append('boolean', 'false');
+            url.searchParams.append('apikey', this.apiKey);
+            
+            const response = await fetch(url.toString(), {
+                timeout: 10000,
+                headers: { 'User-Agent': 'Hypergrid-Payment-Tracker/1.0' }
+            });
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            const data = await response.json();
+            
+            if (data.error) {
+                throw new Error(`API Error: ${data.error.message}`);
+            }
+            if (data.status === '0') {
+                throw new Error(`API Error: ${data.result || data.message}`);
+            }
+            if (!data.result?.hash) {
+                throw new Error(`Block ${blockNumber} not found`);
+            }
+            
+            return data.result.hash.toLowerCase();
+        }, { source: 'etherscan' });
+    }
+
+    async fetchTransfers(addresses, fromBlock, toBlock) {
+        const transfers = [];
+        for (const address of addresses) {
+            for (const tokenAddress of this.tokenAddresses) {
+                transfers.push(...await this.fetchWalletTransfers(address, tokenAddress, fromBlock, toBlock));
+            }
+        }
+        return transfers;
+    }
+
+    // Fetch every transfer of one token for an address, paging through results
+    // and splitting the block range when it holds more than the API will page through
+    async fetchWalletTransfers(address, tokenAddress, fromBlock, toBlock) {
+        const transactions = [];
+        const maxPages = Math.floor(this.resultWindow / this.pageSize);
+        
+        for (let page = 1; page <= maxPages; page++) {
+            const results = await this.fetchTokenTxPage(address, tokenAddress, fromBlock, toBlock, page);
+            transactions.push(...results);
+            
+            if (results.length < this.pageSize) {
+                return transactions;
+            }
+        }
+        
+        if (fromBlock >= toBlock) {
+            throw new Error(`Block ${fromBlock} has more than ${this.resultWindow} transfers for ${address}`);
+        }
+        
+        const midBlock = Math.floor((fromBlock + toBlock) / 2);
+        log.info('Result cap hit, splitting the block range', { address, from_block: fromBlock, to_block: toBlock, split_at: midBlock });
+        
+        const lower = await this.fetchWalletTransfers(address, tokenAddress, fromBlock, midBlock);
+        const upper = await this.fetchWalletTransfers(address, tokenAddress, midBlock + 1, toBlock);
+        return lower.concat(upper);
+    }
+
+    async fetchTokenTxPage(address, tokenAddress, fromBlock, toBlock, page) {
+        await this.rateLimiter.wait();
+        
+        return withRetry(async () => {
+            const url = new URL(this.apiUrl);
+            url.searchParams.append('module', 'account');
+            url.searchParams.append('action', 'tokentx');
+            url.searchParams.append('chainid', this.chainId);
+            url.searchParams.append('address', address);
+            url.searchParams.append('contractaddress', tokenAddress);
+            url.searchParams.append('startblock', fromBlock.toString());
+            url.searchParams.append('endblock', toBlock.toString());
+            url.searchParams.append('page', page.toString());
+            url.searchParams.append('offset', this.pageSize.toString());
+            url.searchParams.append('sort', 'asc');
+            url.searchParams.append('apikey', this.apiKey);
+            
+            const fields = { address, token: tokenAddress, from_block: fromBlock, to_block: toBlock, page };
+            const started = Date.now();
+            const response = await fetch(url.toString(), {
+                timeout: 15000,
+                headers: { 'User-Agent': 'Hypergrid-Payment-Tracker/1.0' }
+            });
+            
+            if (!response.ok) {
+                log.error('API request failed', { ...fields, status: response.status, duration_ms: Date.now() - started });
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            const data = await response.json();
+            
+            if (data.status === '1') {
+                log.debug('API call', { ...fields, transactions: data.result?.length || 0, duration_ms: Date.now() - started });
+                return data.result || [];
+            } else if (data.message === 'No transactions found') {
+                log.debug('API call', { ...fields, transactions: 0, duration_ms: Date.now() - started });
+                return [];
+            }
+            
+            // Failures read {"status":"0","message":"NOTOK","result":"<reason>"}
+            const reason = typeof data.result === 'string' ? data.result : data.message;
+            if (/rate limit/i.test(reason || '')) {
+                log.warn('API rate limit hit', { ...fields, error: reason });
+                throw new Error('Rate limit exceeded');
+            }
+            
+            log.error('API call failed', { ...fields, error: reason || 'Unknown error', duration_ms: Date.now() - started });
+            throw new Error(reason || 'API request failed');
+        }, { source: 'etherscan' });
+    }
+}
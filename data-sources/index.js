@@ -0,0 +1,23 @@
+import { EtherscanDataSource } from './etherscan.js';
+import { JsonRpcDataSource } from './json-rpc.js';
+
+// Every data source exposes:
+//   addressesPerCall                            - wallets fetchTransfers accepts at once
+//   getBlockHeight()                            - current chain head
+//   getBlockHash(blockNumber)                   - canonical hash of a block
+//   fetchTransfers(addresses, fromBlock, toBlock) - transfers of the configured
+//     tokens (options.tokenAddresses) touching those wallets, shaped like
+//     Etherscan tokentx rows (hash, blockNumber, timeStamp, from, to,
+//     contractAddress, value, gasUsed)
+const dataSources = {
+    etherscan: EtherscanDataSource,
+    rpc: JsonRpcDataSource
+};
+
+export function createDataSource(name, options) {
+    const DataSource = dataSources[name];
+    if (!DataSource) {
+        throw new Error(`Unknown data source "${name}" (expected one of: ${Object.keys(dataSources).join(', ')})`);
+    }
+    return new DataSource(options);
+}
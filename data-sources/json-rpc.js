@@ -0,0 +1,141 @@
+import { Web3 } from 'web3';
+import { withRetry } from '../retry.js';
+import { logger } from '../logger.js';
+
+// keccak256('Transfer(address,address,uint256)')
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+const MAX_CACHED_BLOCKS = 10000;
+
+const log = logger.child({ component: 'rpc' });
+
+function addressToTopic(address) {
+    return '0x' + address.toLowerCase().replace(/^0x/, '').padStart(64, '0');
+}
+
+function topicToAddress(topic) {
+    return '0x' + topic.slice(-40).toLowerCase();
+}
+
+// Node-specific wording for "too many results / range too wide" on eth_getLogs
+function isRangeLimitError(error) {
+    const message = (error.innerError?.message || error.message || '').toLowerCase();
+    if (message.includes('rate limit')) {
+        return false;
+    }
+    return message.includes('more than') ||
+        message.includes('too many') ||
+        message.includes('block range') ||
+        message.includes('range too large') ||
+        message.includes('response size');
+}
+
+// Standard JSON-RPC backend: reads token `Transfer` logs with eth_getLogs,
+// filtering on the recipient topic for many wallets in a single call
+export class JsonRpcDataSource {
+    constructor(options) {
+        if (!options.rpcUrl) {
+            throw new Error('RPC_URL is required for the rpc data source');
+        }
+        
+        this.web3 = new Web3(options.rpcUrl);
+        this.tokenAddresses = options.tokenAddresses.map(address => address.toLowerCase());
+        this.maxBlockRange = options.rpcMaxBlockRange;
+        this.addressesPerCall = options.rpcAddressesPerCall;
+        this.blockTimestamps = new Map();
+    }
+
+    async getBlockHeight() {
+        return withRetry(async () => Number(await this.web3.eth.getBlockNumber()), { source: 'rpc' });
+    }
+
+    async getBlockHash(blockNumber) {
+        const block = await withRetry(() => this.web3.eth.getBlock(blockNumber), { source: 'rpc' });
+        if (!block) {
+            throw new Error(`Block ${blockNumber} not found`);
+        }
+        return block.hash.toLowerCase();
+    }
+
+    // Returns transfers in the same shape as Etherscan's tokentx results
+    async fetchTransfers(addresses, fromBlock, toBlock) {
+        const topics = [TRANSFER_TOPIC, null, addresses.map(addressToTopic)];
+        const logs = [];
+        
+        for (let rangeFrom = fromBlock; rangeFrom <= toBlock; rangeFrom += this.maxBlockRange) {
+            const rangeTo = Math.min(rangeFrom + this.maxBlockRange - 1, toBlock);
+            logs.push(...await this.getLogs(topics, rangeFrom, rangeTo));
+        }
+        
+        const transfers = [];
+        for (const log of logs) {
+            if (log.removed) continue;
+            
+            const blockNumber = Number(log.blockNumber);
+            transfers.push({
+                hash: log.transactionHash,
+                blockNumber: blockNumber.toString(),
+                blockHash: log.blockHash,
+                timeStamp: (await this.getBlockTimestamp(blockNumber)).toString(),
+                from: topicToAddress(log.topics[1]),
+                to: topicToAddress(log.topics[2]),
+                contractAddress: log.address.toLowerCase(),
+                value: BigInt(log.data).toString(),
+                gasUsed: null
+            });
+        }
+        return transfers;
+    }
+
+    // eth_getLogs, halving the block range whenever the node rejects it as too large
+    async getLogs(topics, fromBlock, toBlock) {
+        const started = Date.now();
+        try {
+            const logs = await withRetry(async () => {
+                try {
+                    return await this.web3.eth.getPastLogs({
+                        fromBlock,
+                        toBlock,
+                        address: this.tokenAddresses,
+                        topics
+                    });
+                } catch (error) {
+                    if (isRangeLimitError(error)) {
+                        error.retryable = false;
+                    }
+                    throw error;
+                }
+            }, { source: 'rpc' });
+            log.debug('eth_getLogs', {
+                wallets: topics[2].length,
+                from_block: fromBlock,
+                to_block: toBlock,
+                logs: logs.length,
+                duration_ms: Date.now() - started
+            });
+            return logs;
+        } catch (error) {
+            if (!isRangeLimitError(error) || fromBlock >= toBlock) {
+                throw error;
+            }
+            
+            const midBlock = Math.floor((fromBlock + toBlock) / 2);
+            log.info('Log range too large, splitting the block range', { from_block: fromBlock, to_block: toBlock, split_at: midBlock });
+            
+            const lower = await this.getLogs(topics, fromBlock, midBlock);
+            const upper = await this.getLogs(topics, midBlock + 1, toBlock);
+            return lower.concat(upper);
+        }
+    }
+
+    async getBlockTimestamp(blockNumber) {
+        if (!this.blockTimestamps.has(blockNumber)) {
+            if (this.blockTimestamps.size >= MAX_CACHED_BLOCKS) {
+                this.blockTimestamps.clear();
+            }
+            
+            const block = await withRetry(() => this.web3.eth.getBlock(blockNumber), { source: 'rpc' });
+            this.blockTimestamps.set(blockNumber, Number(block.timestamp));
+        }
+        return this.blockTimestamps.get(blockNumber);
+    }
+}
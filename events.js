@@ -0,0 +1,68 @@
+// Payment events: written to payment_events alongside the payments they
+// describe, queued for every matching webhook, and announced on a Postgres
+// channel (delivered on commit) so API replicas can stream them.
+export const EVENTS_CHANNEL = 'payment_events';
+export const EVENT_TYPES = ['payment.received', 'payment.reverted', 'leaderboard.updated'];
+
+// Record one `type` event per payment plus a leaderboard.updated event with
+// the current totals of every provider involved. Returns the new event ids.
+export async function recordPaymentEvents(client, type, payments, webhooks = []) {
+    if (payments.length === 0) return [];
+    
+    const namehashes = [...new Set(payments.map(payment => payment.provider_entry_namehash))];
+    const result = await client.query(`
+        WITH payment_rows AS (
+            INSERT INTO payment_events (event_type, provider_entry_name, payload)
+            SELECT $1, payload->>'provider_entry_name', payload
+            FROM unnest($2::jsonb[]) AS payload
+            RETURNING id, event_type, provider_entry_name
+        ),
+        leaderboard_rows AS (
+            INSERT INTO payment_events (event_type, provider_entry_name, payload)
+            SELECT 'leaderboard.updated', pl.provider_entry_name, jsonb_build_object(
+                'provider_entry_namehash', pl.provider_entry_namehash,
+                'provider_entry_name', pl.provider_entry_name,
+                'total_usdc_received', pl.total_usdc_received,
+                'transaction_count', pl.transaction_count,
+                'unique_sender_count', pl.unique_sender_count,
+                'last_transaction_at', pl.last_transaction_at
+            )
+            FROM provider_leaderboard pl
+            WHERE pl.provider_entry_namehash = ANY($3)
+            RETURNING id, event_type, provider_entry_name
+        )
+        SELECT * FROM payment_rows
+        UNION ALL
+        SELECT * FROM leaderboard_rows
+        ORDER BY id
+    `, [type, payments.map(payment => JSON.stringify(payment)), namehashes]);
+    const events = result.rows;
+    
+    const deliveries = [];
+    for (const webhook of webhooks) {
+        for (const event of events) {
+            if (subscriptionMatches(webhook, event)) {
+                deliveries.push({ eventId: event.id, url: webhook.url });
+            }
+        }
+    }
+    if (deliveries.length > 0) {
+        await client.query(`
+            INSERT INTO webhook_deliveries (event_id, webhook_url)
+            SELECT * FROM unnest($1::bigint[], $2::text[])
+            ON CONFLICT (event_id, webhook_url) DO NOTHING
+        `, [deliveries.map(delivery => delivery.eventId), deliveries.map(delivery => delivery.url)]);
+    }
+    
+    await client.query('SELECT pg_notify($1, $2)', [EVENTS_CHANNEL, String(events[events.length - 1].id)]);
+    return events.map(event => event.id);
+}
+
+// Webhooks and event streams subscribe to event types and optionally to a
+// list of providers
+export function subscriptionMatches(subscription, event) {
+    if (!subscription.events.includes(event.event_type)) {
+        return false;
+    }
+    return !subscription.providers || subscription.providers.includes(event.provider_entry_name);
+}
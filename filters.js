@@ -0,0 +1,78 @@
+import { parseUnits } from './amounts.js';
+
+// Payment filters: rules that keep dust, self-payments and bursts of payments
+// out of the leaderboards. A payment matching any rule is flagged with every
+// reason that applies instead of being stored. Rules come from the "filters"
+// section of TRACKER_CONFIG (see tracker-config.js); all are off by default.
+export const FLAG_REASONS = ['dust', 'same_owner', 'rate'];
+
+// Amounts are compared exactly, at more places than any token or minAmount uses
+const AMOUNT_DECIMALS = 36;
+
+// Follow TBA -> owner links to the account that ultimately controls an
+// address; an address that is no owned TBA controls itself
+export function ownerRoot(address, tbaOwners) {
+    let current = address;
+    for (let depth = 0; depth < 16 && tbaOwners.has(current); depth++) {
+        current = tbaOwners.get(current);
+    }
+    return current;
+}
+
+// The sender TBA and the wallet the provider was paid into (the ~wallet in
+// force at that block) are controlled by the same account
+export function isSameOwner(payment, tbaOwners) {
+    return ownerRoot(payment.fromAddress, tbaOwners) === ownerRoot(payment.toAddress, tbaOwners);
+}
+
+const pairKey = (payment) => `${payment.providerEntryNamehash}:${payment.fromAddress}`;
+
+// The same transaction hash can exist on more than one chain
+export const paymentKey = (payment) => `${payment.chainId}:${payment.hash}`;
+
+// rules: normalized filters config. tbaOwners: Map of lowercase TBA address
+// to the address that owns it (needed for sameOwner). recent: Map of
+// `${namehash}:${sender}` to the timestamps (ms) of that pair's stored
+// payments in the rate window before the batch. Returns a Map of paymentKey
+// to reasons for the flagged payments.
+export function screenPayments(payments, rules, { tbaOwners = null, recent = new Map() } = {}) {
+    const flagged = new Map();
+    const minAmount = rules.minAmount === null ? null : parseUnits(rules.minAmount, AMOUNT_DECIMALS);
+    
+    for (const payment of payments) {
+        const reasons = [];
+        if (minAmount !== null && parseUnits(payment.valueUsdc, AMOUNT_DECIMALS) < minAmount) {
+            reasons.push('dust');
+        }
+        if (rules.sameOwner && tbaOwners && isSameOwner(payment, tbaOwners)) {
+            reasons.push('same_owner');
+        }
+        if (reasons.length > 0) {
+            flagged.set(paymentKey(payment), reasons);
+        }
+    }
+    
+    if (rules.rate) {
+        // Walk the rest in time order; each payment that is kept counts toward later ones
+        const windowMs = rules.rate.windowSeconds * 1000;
+        const kept = new Map();
+        const ordered = payments
+            .filter(payment => !flagged.has(paymentKey(payment)))
+            .sort((a, b) => a.timestamp - b.timestamp || a.blockNumber - b.blockNumber);
+        for (const payment of ordered) {
+            const key = pairKey(payment);
+            if (!kept.has(key)) kept.set(key, [...(recent.get(key) || [])]);
+            
+            const times = kept.get(key);
+            const time = payment.timestamp.getTime();
+            const inWindow = times.filter(t => t > time - windowMs && t <= time).length;
+            if (inWindow >= rules.rate.maxPayments) {
+                flagged.set(paymentKey(payment), ['rate']);
+            } else {
+                times.push(time);
+            }
+        }
+    }
+    
+    return flagged;
+}
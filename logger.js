@@ -0,0 +1,108 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+// Structured logging: one JSON object per line on stdout with time, level,
+// msg and the fields passed in. Fields set with withLogContext (the run ID,
+// the command) are added to every line logged inside it, however deep.
+// Credentials are scrubbed from every string before it is written.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+
+const context = new AsyncLocalStorage();
+const secrets = new Set();
+
+// Query parameters that carry credentials, and path segments that look like
+// an API key (Alchemy, Infura and similar RPC URLs put the key in the path)
+const SECRET_PARAM = /^(api_?key|key|token|access_token|secret|password)$/i;
+const KEY_SEGMENT = /^[A-Za-z0-9_-]{20,}$/;
+const URL_PATTERN = /\bhttps?:\/\/[^\s"'<>]+/g;
+
+// Values scrubbed wherever they appear, such as ETHERSCAN_API_KEY
+export function registerSecret(value) {
+    if (value && value.length >= 8) {
+        secrets.add(value);
+    }
+}
+
+export function redactUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return url;
+    }
+    
+    if (parsed.password) {
+        parsed.password = 'REDACTED';
+    }
+    parsed.pathname = parsed.pathname.split('/').map(segment => KEY_SEGMENT.test(segment) ? 'REDACTED' : segment).join('/');
+    for (const name of [...parsed.searchParams.keys()]) {
+        if (SECRET_PARAM.test(name)) {
+            parsed.searchParams.set(name, 'REDACTED');
+        }
+    }
+    return parsed.toString();
+}
+
+export function redact(text) {
+    let result = text.replace(URL_PATTERN, redactUrl);
+    for (const secret of secrets) {
+        result = result.split(secret).join('REDACTED');
+    }
+    return result;
+}
+
+function replacer(key, value) {
+    if (value instanceof Error) {
+        return { name: value.name, message: redact(value.message), stack: value.stack && redact(value.stack) };
+    }
+    if (typeof value === 'string') {
+        return redact(value);
+    }
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    return value;
+}
+
+export class Logger {
+    constructor({ fields = {}, level = LOG_LEVEL, write = line => process.stdout.write(line + '\n') } = {}) {
+        this.fields = fields;
+        this.level = level;
+        this.threshold = LEVELS[level] ?? LEVELS.info;
+        this.write = write;
+    }
+    
+    child(fields) {
+        return new Logger({ fields: { ...this.fields, ...fields }, level: this.level, write: this.write });
+    }
+    
+    debug(msg, fields) {
+        this.log('debug', msg, fields);
+    }
+    
+    info(msg, fields) {
+        this.log('info', msg, fields);
+    }
+    
+    warn(msg, fields) {
+        this.log('warn', msg, fields);
+    }
+    
+    error(msg, fields) {
+        this.log('error', msg, fields);
+    }
+    
+    log(level, msg, fields = {}) {
+        if (LEVELS[level] < this.threshold) return;
+        
+        const entry = { time: new Date().toISOString(), level, msg, ...context.getStore(), ...this.fields, ...fields };
+        this.write(JSON.stringify(entry, replacer));
+    }
+}
+
+export const logger = new Logger();
+
+// Run fn with fields added to every line it logs, including from the modules it calls
+export function withLogContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
@@ -0,0 +1,148 @@
+// Prometheus metrics in the text exposition format, served at /metrics.
+// Counters and gauges are kept per label set; collectors registered with
+// onCollect refresh point-in-time gauges (pool sizes, memory) on each scrape.
+class Metric {
+    constructor(type, name, help, labelNames) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.values = new Map();
+    }
+    
+    key(labels) {
+        return JSON.stringify(this.labelNames.map(name => String(labels[name] ?? '')));
+    }
+    
+    entry(labels) {
+        const key = this.key(labels);
+        if (!this.values.has(key)) {
+            this.values.set(key, { labels, value: 0 });
+        }
+        return this.values.get(key);
+    }
+    
+    get(labels = {}) {
+        return this.values.get(this.key(labels))?.value ?? 0;
+    }
+    
+    lines() {
+        return [...this.values.values()].map(({ labels, value }) => `${this.name}${formatLabels(this.labelNames, labels)} ${value}`);
+    }
+}
+
+class Counter extends Metric {
+    inc(labels = {}, amount = 1) {
+        this.entry(labels).value += amount;
+    }
+}
+
+class Gauge extends Metric {
+    set(labels, value) {
+        this.entry(labels).value = value;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets;
+    }
+    
+    observe(labels, value) {
+        const entry = this.entry(labels);
+        if (!entry.counts) {
+            entry.counts = this.buckets.map(() => 0);
+            entry.sum = 0;
+        }
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.value++;
+    }
+    
+    lines() {
+        const lines = [];
+        for (const { labels, value, counts, sum } of this.values.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels([...this.labelNames, 'le'], { ...labels, le: bound })} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels([...this.labelNames, 'le'], { ...labels, le: '+Inf' })} ${value}`);
+            lines.push(`${this.name}_sum${formatLabels(this.labelNames, labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(this.labelNames, labels)} ${value}`);
+        }
+        return lines;
+    }
+}
+
+function formatLabels(names, labels) {
+    if (names.length === 0) return '';
+    const pairs = names.map(name => {
+        const value = String(labels[name] ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        return `${name}="${value}"`;
+    });
+    return `{${pairs.join(',')}}`;
+}
+
+export class Registry {
+    constructor() {
+        this.metrics = [];
+        this.collectors = [];
+    }
+    
+    counter(name, help, labelNames = []) {
+        return this.add(new Counter('counter', name, help, labelNames));
+    }
+    
+    gauge(name, help, labelNames = []) {
+        return this.add(new Gauge('gauge', name, help, labelNames));
+    }
+    
+    histogram(name, help, labelNames, buckets) {
+        return this.add(new Histogram(name, help, labelNames, buckets));
+    }
+    
+    add(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+    
+    onCollect(collector) {
+        this.collectors.push(collector);
+    }
+    
+    render() {
+        for (const collector of this.collectors) {
+            collector();
+        }
+        const lines = [];
+        for (const metric of this.metrics) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.lines());
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+export const registry = new Registry();
+
+export const metrics = {
+    runs: registry.counter('payment_tracker_runs_total', 'Tracker runs by result (success, partial, failure)', ['result']),
+    runDuration: registry.histogram('payment_tracker_run_duration_seconds', 'Duration of tracker runs', [], [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600]),
+    lastRunTimestamp: registry.gauge('payment_tracker_last_run_timestamp_seconds', 'When the last tracker run finished', ['result']),
+    chainFailures: registry.counter('payment_tracker_chain_failures_total', 'Chains that failed during a run', ['chain_id']),
+    apiCalls: registry.counter('payment_tracker_api_calls_total', 'Blockchain API requests, including retries', ['source']),
+    apiErrors: registry.counter('payment_tracker_api_errors_total', 'Blockchain API requests that failed', ['source']),
+    rateLimitHits: registry.counter('payment_tracker_rate_limit_hits_total', 'Blockchain API requests rejected for rate limiting', ['source']),
+    transactionsInserted: registry.counter('payment_tracker_transactions_inserted_total', 'Payments stored', ['chain_id']),
+    chainHead: registry.gauge('payment_tracker_chain_head_block', 'Latest chain head seen', ['chain_id']),
+    cursorBlock: registry.gauge('payment_tracker_cursor_block', 'Last block the chain cursor covers', ['chain_id']),
+    blockLag: registry.gauge('payment_tracker_block_lag', 'Blocks between the chain head and the cursor', ['chain_id']),
+    retryBacklog: registry.gauge('payment_tracker_retry_backlog_ranges', 'Provider ranges waiting in the retry queue', ['chain_id']),
+    memoryThresholdExceeded: registry.counter('payment_tracker_memory_threshold_exceeded_total', 'Times heap use crossed the flush threshold'),
+    heapUsed: registry.gauge('payment_tracker_heap_used_bytes', 'V8 heap in use'),
+    poolConnections: registry.gauge('payment_tracker_db_pool_connections', 'Database pool clients by state', ['pool', 'state']),
+    webhookDeliveries: registry.counter('payment_tracker_webhook_deliveries_total', 'Webhook delivery attempts by result', ['result']),
+    paymentsFlagged: registry.counter('payment_tracker_payments_flagged_total', 'Payments kept out of the leaderboards, by filter reason', ['reason']),
+    leader: registry.gauge('payment_tracker_leader', 'Whether this replica holds the tracker lock and indexes')
+};
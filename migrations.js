@@ -0,0 +1,98 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { logger } from './logger.js';
+
+// Versioned schema migrations for the payments database. Files in
+// migrations/ are named <version>_<name>.sql and applied in version order,
+// each in its own transaction, recording the version in schema_migrations.
+// Migrations can read the chain a single-chain deployment indexed
+// (BASE_CHAIN_ID) as current_setting('tracker.base_chain_id').
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const MIGRATION_LOCK_ID = 724016001; // pg_advisory_lock key, shared by all replicas
+const BASE_CHAIN_ID = process.env.BASE_CHAIN_ID || '8453';
+
+const log = logger.child({ component: 'migrations' });
+
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+    const files = (await fs.readdir(dir)).filter(file => file.endsWith('.sql'));
+    const migrations = [];
+    
+    for (const file of files) {
+        const match = /^(\d+)_(.+)\.sql$/.exec(file);
+        if (!match) {
+            throw new Error(`Migration file ${file} must be named <version>_<name>.sql`);
+        }
+        migrations.push({
+            version: parseInt(match[1]),
+            name: match[2],
+            sql: await fs.readFile(path.join(dir, file), 'utf8')
+        });
+    }
+    
+    migrations.sort((a, b) => a.version - b.version);
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migrations[i].version}`);
+        }
+    }
+    return migrations;
+}
+
+export async function runMigrations(pool, migrations) {
+    migrations = migrations || await loadMigrations();
+    const latestVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+    const client = await pool.connect();
+    
+    try {
+        // Only one process migrates at a time
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+        
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        
+        const appliedResult = await client.query('SELECT version FROM schema_migrations');
+        const applied = new Set(appliedResult.rows.map(row => parseInt(row.version)));
+        const newestApplied = Math.max(0, ...applied);
+        
+        if (newestApplied > latestVersion) {
+            throw new Error(`Database schema is at version ${newestApplied} but this code only knows up to ${latestVersion}; refusing to start`);
+        }
+        
+        const pending = migrations.filter(migration => !applied.has(migration.version));
+        if (pending.length === 0) {
+            log.info('Schema up to date', { version: latestVersion });
+            return [];
+        }
+        
+        for (const migration of pending) {
+            log.info('Applying migration', { version: migration.version, name: migration.name });
+            
+            try {
+                await client.query('BEGIN');
+                await client.query("SELECT set_config('tracker.base_chain_id', $1, true)", [BASE_CHAIN_ID]);
+                await client.query(migration.sql);
+                await client.query(
+                    'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                    [migration.version, migration.name]
+                );
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw new Error(`Migration ${migration.version}_${migration.name} failed: ${error.message}`);
+            }
+        }
+        
+        log.info('Migrations applied', { applied: pending.length, version: latestVersion });
+        return pending.map(migration => migration.version);
+        
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+        client.release();
+    }
+}
@@ -0,0 +1,62 @@
+-- Initial Schema
+-- Payments database tables as used by payment-tracker.js. Safe to apply on a
+-- database that was set up by hand from the older scripts.
+
+CREATE TABLE IF NOT EXISTS hypermap_transactions (
+    id SERIAL PRIMARY KEY,
+    tx_hash VARCHAR(66) UNIQUE NOT NULL,
+    block_number BIGINT NOT NULL,
+    timestamp TIMESTAMP NOT NULL,
+    from_address VARCHAR(42) NOT NULL,
+    from_hypermap_name TEXT NOT NULL,
+    to_address VARCHAR(42) NOT NULL,
+    to_provider_id TEXT NOT NULL,
+    provider_entry_name TEXT,
+    value_usdc DECIMAL(20, 6) NOT NULL, -- USDC has 6 decimals
+    gas_used BIGINT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Written by insertTransactionBatch but missing from the original setup script
+ALTER TABLE hypermap_transactions
+    ADD COLUMN IF NOT EXISTS provider_entry_name TEXT;
+
+CREATE TABLE IF NOT EXISTS provider_leaderboard (
+    id SERIAL PRIMARY KEY,
+    provider_entry_namehash VARCHAR(66) UNIQUE NOT NULL,
+    provider_entry_name TEXT NOT NULL,
+    provider_id TEXT NOT NULL,
+    wallet_address VARCHAR(42) NOT NULL,
+    total_usdc_received DECIMAL(20, 6) DEFAULT 0,
+    transaction_count INTEGER DEFAULT 0,
+    unique_sender_count INTEGER DEFAULT 0,
+    first_transaction_at TIMESTAMP,
+    last_transaction_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Global state table (single source of truth for the block cursor)
+CREATE TABLE IF NOT EXISTS global_state (
+    id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+    last_processed_block BIGINT NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+INSERT INTO global_state (id, last_processed_block)
+VALUES (1, 0)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_block_number
+    ON hypermap_transactions(block_number);
+CREATE INDEX IF NOT EXISTS idx_transactions_to_address
+    ON hypermap_transactions(to_address);
+CREATE INDEX IF NOT EXISTS idx_transactions_from_address
+    ON hypermap_transactions(from_address);
+CREATE INDEX IF NOT EXISTS idx_transactions_timestamp
+    ON hypermap_transactions(timestamp);
+CREATE INDEX IF NOT EXISTS idx_leaderboard_wallet
+    ON provider_leaderboard(wallet_address);
+CREATE INDEX IF NOT EXISTS idx_leaderboard_total
+    ON provider_leaderboard(total_usdc_received DESC);
@@ -0,0 +1,22 @@
+-- Provider Retry Queue
+-- Records provider/block ranges whose Etherscan fetch failed so a later run
+-- can re-fetch them instead of losing those payments when the global cursor
+-- moves past the range.
+
+CREATE TABLE IF NOT EXISTS provider_retry_queue (
+    id SERIAL PRIMARY KEY,
+    provider_entry_namehash VARCHAR(66) NOT NULL,
+    provider_entry_name TEXT NOT NULL,
+    provider_id TEXT NOT NULL,
+    wallet_address VARCHAR(42) NOT NULL,
+    from_block BIGINT NOT NULL,
+    to_block BIGINT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (provider_entry_namehash, from_block, to_block)
+);
+
+CREATE INDEX IF NOT EXISTS idx_retry_queue_from_block
+    ON provider_retry_queue(from_block);
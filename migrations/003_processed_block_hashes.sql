@@ -0,0 +1,10 @@
+-- Processed Block Hashes
+-- Stores the hash of each checkpointed block so later runs can detect chain
+-- reorganisations deeper than BLOCK_SAFETY_BUFFER and roll back to the last
+-- block that is still canonical.
+
+CREATE TABLE IF NOT EXISTS processed_block_hashes (
+    block_number BIGINT PRIMARY KEY,
+    block_hash VARCHAR(66) NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
@@ -0,0 +1,14 @@
+-- Raw Value Column
+-- Stores each transfer's exact on-chain amount in integer base units next to
+-- the DECIMAL value_usdc, so reconciliations never depend on rounding.
+
+ALTER TABLE hypermap_transactions
+    ADD COLUMN IF NOT EXISTS value_raw NUMERIC(78, 0);
+
+-- Backfill existing rows from the 6-decimal USDC value
+UPDATE hypermap_transactions
+SET value_raw = value_usdc * 1000000
+WHERE value_raw IS NULL;
+
+ALTER TABLE hypermap_transactions
+    ALTER COLUMN value_raw SET NOT NULL;
@@ -0,0 +1,40 @@
+-- Provider Wallet History
+-- Tracks every ~wallet a provider has used with the block range it was valid
+-- for, and tags transactions with the provider namehash so the leaderboard
+-- can aggregate across all of a provider's wallets.
+
+CREATE TABLE IF NOT EXISTS provider_wallets (
+    id SERIAL PRIMARY KEY,
+    provider_entry_namehash VARCHAR(66) NOT NULL,
+    wallet_address VARCHAR(42) NOT NULL,
+    valid_from_block BIGINT NOT NULL,
+    valid_to_block BIGINT, -- NULL while this is the provider's current wallet
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_provider_wallets_current
+    ON provider_wallets(provider_entry_namehash) WHERE valid_to_block IS NULL;
+CREATE INDEX IF NOT EXISTS idx_provider_wallets_wallet
+    ON provider_wallets(wallet_address);
+
+-- Seed with the wallets already on the leaderboard
+INSERT INTO provider_wallets (provider_entry_namehash, wallet_address, valid_from_block)
+SELECT provider_entry_namehash, LOWER(wallet_address), 0
+FROM provider_leaderboard pl
+WHERE NOT EXISTS (
+    SELECT 1 FROM provider_wallets pw
+    WHERE pw.provider_entry_namehash = pl.provider_entry_namehash
+);
+
+ALTER TABLE hypermap_transactions
+    ADD COLUMN IF NOT EXISTS provider_entry_namehash VARCHAR(66);
+
+UPDATE hypermap_transactions t
+SET provider_entry_namehash = pl.provider_entry_namehash
+FROM provider_leaderboard pl
+WHERE t.provider_entry_namehash IS NULL
+AND t.to_address = LOWER(pl.wallet_address);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_provider_namehash
+    ON hypermap_transactions(provider_entry_namehash);
@@ -0,0 +1,29 @@
+-- Provider Sender Pairs
+-- Per provider/sender aggregates, so the leaderboard can be maintained
+-- incrementally (including unique_sender_count) from newly inserted rows only.
+
+CREATE TABLE IF NOT EXISTS provider_sender_pairs (
+    provider_entry_namehash VARCHAR(66) NOT NULL,
+    from_address VARCHAR(42) NOT NULL,
+    transaction_count INTEGER NOT NULL DEFAULT 0,
+    total_usdc DECIMAL(20, 6) NOT NULL DEFAULT 0,
+    first_transaction_at TIMESTAMP,
+    last_transaction_at TIMESTAMP,
+    PRIMARY KEY (provider_entry_namehash, from_address)
+);
+
+INSERT INTO provider_sender_pairs (
+    provider_entry_namehash, from_address, transaction_count,
+    total_usdc, first_transaction_at, last_transaction_at
+)
+SELECT
+    provider_entry_namehash,
+    from_address,
+    COUNT(*),
+    SUM(value_usdc),
+    MIN(timestamp),
+    MAX(timestamp)
+FROM hypermap_transactions
+WHERE provider_entry_namehash IS NOT NULL
+GROUP BY provider_entry_namehash, from_address
+ON CONFLICT (provider_entry_namehash, from_address) DO NOTHING;
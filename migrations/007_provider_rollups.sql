@@ -0,0 +1,61 @@
+-- Provider Rollups
+-- Per provider/sender hourly buckets (source for rolling 24h/7d/30d rankings
+-- and distinct sender counts) plus per provider daily and weekly rollups.
+-- Weeks start on Monday (date_trunc('week')); all buckets are UTC.
+
+CREATE TABLE IF NOT EXISTS provider_sender_hourly (
+    provider_entry_namehash VARCHAR(66) NOT NULL,
+    from_address VARCHAR(42) NOT NULL,
+    hour TIMESTAMP NOT NULL,
+    transaction_count INTEGER NOT NULL DEFAULT 0,
+    volume_usdc DECIMAL(20, 6) NOT NULL DEFAULT 0,
+    PRIMARY KEY (provider_entry_namehash, from_address, hour)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sender_hourly_hour
+    ON provider_sender_hourly(hour);
+
+CREATE TABLE IF NOT EXISTS provider_daily_stats (
+    provider_entry_namehash VARCHAR(66) NOT NULL,
+    day DATE NOT NULL,
+    transaction_count INTEGER NOT NULL DEFAULT 0,
+    volume_usdc DECIMAL(20, 6) NOT NULL DEFAULT 0,
+    unique_sender_count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (provider_entry_namehash, day)
+);
+
+CREATE TABLE IF NOT EXISTS provider_weekly_stats (
+    provider_entry_namehash VARCHAR(66) NOT NULL,
+    week_start DATE NOT NULL,
+    transaction_count INTEGER NOT NULL DEFAULT 0,
+    volume_usdc DECIMAL(20, 6) NOT NULL DEFAULT 0,
+    unique_sender_count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (provider_entry_namehash, week_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_daily_stats_day
+    ON provider_daily_stats(day);
+CREATE INDEX IF NOT EXISTS idx_weekly_stats_week
+    ON provider_weekly_stats(week_start);
+
+-- Seed from existing transactions
+INSERT INTO provider_sender_hourly (provider_entry_namehash, from_address, hour, transaction_count, volume_usdc)
+SELECT provider_entry_namehash, from_address, date_trunc('hour', timestamp), COUNT(*), SUM(value_usdc)
+FROM hypermap_transactions
+WHERE provider_entry_namehash IS NOT NULL
+GROUP BY provider_entry_namehash, from_address, date_trunc('hour', timestamp)
+ON CONFLICT DO NOTHING;
+
+INSERT INTO provider_daily_stats (provider_entry_namehash, day, transaction_count, volume_usdc, unique_sender_count)
+SELECT provider_entry_namehash, date_trunc('day', timestamp)::date, COUNT(*), SUM(value_usdc), COUNT(DISTINCT from_address)
+FROM hypermap_transactions
+WHERE provider_entry_namehash IS NOT NULL
+GROUP BY provider_entry_namehash, date_trunc('day', timestamp)::date
+ON CONFLICT DO NOTHING;
+
+INSERT INTO provider_weekly_stats (provider_entry_namehash, week_start, transaction_count, volume_usdc, unique_sender_count)
+SELECT provider_entry_namehash, date_trunc('week', timestamp)::date, COUNT(*), SUM(value_usdc), COUNT(DISTINCT from_address)
+FROM hypermap_transactions
+WHERE provider_entry_namehash IS NOT NULL
+GROUP BY provider_entry_namehash, date_trunc('week', timestamp)::date
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,41 @@
+-- Sender Leaderboard
+-- Spending totals per grid-wallet TBA, maintained alongside
+-- provider_sender_pairs (which doubles as the sender -> provider flow matrix).
+
+CREATE TABLE IF NOT EXISTS sender_leaderboard (
+    from_address VARCHAR(42) PRIMARY KEY,
+    from_hypermap_name VARCHAR(255),
+    total_usdc_spent DECIMAL(20, 6) NOT NULL DEFAULT 0,
+    transaction_count INTEGER NOT NULL DEFAULT 0,
+    provider_count INTEGER NOT NULL DEFAULT 0,
+    first_transaction_at TIMESTAMP,
+    last_transaction_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sender_leaderboard_total
+    ON sender_leaderboard(total_usdc_spent DESC);
+CREATE INDEX IF NOT EXISTS idx_sender_pairs_sender
+    ON provider_sender_pairs(from_address);
+
+-- Seed from existing pairs, naming each sender after its latest payment
+INSERT INTO sender_leaderboard (
+    from_address, from_hypermap_name, total_usdc_spent, transaction_count,
+    provider_count, first_transaction_at, last_transaction_at
+)
+SELECT
+    p.from_address,
+    (
+        SELECT t.from_hypermap_name FROM hypermap_transactions t
+        WHERE t.from_address = p.from_address
+        ORDER BY t.timestamp DESC
+        LIMIT 1
+    ),
+    SUM(p.total_usdc),
+    SUM(p.transaction_count),
+    COUNT(*),
+    MIN(p.first_transaction_at),
+    MAX(p.last_transaction_at)
+FROM provider_sender_pairs p
+GROUP BY p.from_address
+ON CONFLICT (from_address) DO NOTHING;
@@ -0,0 +1,26 @@
+-- Transaction Namespace and Token
+-- Records which tracked namespace the provider belongs to and which accepted
+-- token was transferred, now that both come from tracker.config.json.
+
+ALTER TABLE hypermap_transactions
+    ADD COLUMN IF NOT EXISTS namespace TEXT,
+    ADD COLUMN IF NOT EXISTS token_address VARCHAR(42),
+    ADD COLUMN IF NOT EXISTS token_symbol VARCHAR(20);
+
+-- Existing rows were all Base USDC payments to direct children of a
+-- namespace (rows without a provider_entry_name keep a NULL namespace)
+UPDATE hypermap_transactions
+SET
+    namespace = substring(provider_entry_name from position('.' in provider_entry_name) + 1),
+    token_address = '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913',
+    token_symbol = 'USDC'
+WHERE token_address IS NULL;
+
+ALTER TABLE hypermap_transactions
+    ALTER COLUMN token_address SET NOT NULL,
+    ALTER COLUMN token_symbol SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_namespace
+    ON hypermap_transactions(namespace);
+CREATE INDEX IF NOT EXISTS idx_transactions_token
+    ON hypermap_transactions(token_address);
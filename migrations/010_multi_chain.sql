@@ -0,0 +1,142 @@
+-- Multi-Chain Tracking
+-- Every chain gets its own block cursor, and every block-numbered record
+-- carries the chain it came from. Existing data was all indexed on the
+-- deployment's BASE_CHAIN_ID (8453 unless configured), which the migration
+-- runner passes in as tracker.base_chain_id. Leaderboard totals stay combined
+-- across chains, with a per-chain breakdown in provider_chain_leaderboard.
+
+-- Per-chain cursors replace the single global_state row
+CREATE TABLE IF NOT EXISTS chain_state (
+    chain_id INTEGER PRIMARY KEY,
+    last_processed_block BIGINT NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+INSERT INTO chain_state (chain_id, last_processed_block, updated_at)
+SELECT current_setting('tracker.base_chain_id')::integer, last_processed_block, updated_at
+FROM global_state
+WHERE id = 1
+ON CONFLICT (chain_id) DO NOTHING;
+
+DROP TABLE IF EXISTS global_state;
+
+-- Transactions: a tx hash is only unique within its chain
+ALTER TABLE hypermap_transactions
+    ADD COLUMN IF NOT EXISTS chain_id INTEGER;
+UPDATE hypermap_transactions SET chain_id = current_setting('tracker.base_chain_id')::integer WHERE chain_id IS NULL;
+ALTER TABLE hypermap_transactions
+    ALTER COLUMN chain_id SET NOT NULL;
+
+DO $$
+DECLARE
+    constraint_name TEXT;
+BEGIN
+    FOR constraint_name IN
+        SELECT conname FROM pg_constraint
+        WHERE conrelid = 'hypermap_transactions'::regclass AND contype = 'u'
+    LOOP
+        EXECUTE format('ALTER TABLE hypermap_transactions DROP CONSTRAINT %I', constraint_name);
+    END LOOP;
+END $$;
+
+ALTER TABLE hypermap_transactions
+    ADD CONSTRAINT hypermap_transactions_chain_tx_hash_key UNIQUE (chain_id, tx_hash);
+
+DROP INDEX IF EXISTS idx_transactions_block_number;
+CREATE INDEX IF NOT EXISTS idx_transactions_chain_block
+    ON hypermap_transactions(chain_id, block_number);
+
+-- Reorg checkpoints
+ALTER TABLE processed_block_hashes
+    ADD COLUMN IF NOT EXISTS chain_id INTEGER;
+UPDATE processed_block_hashes SET chain_id = current_setting('tracker.base_chain_id')::integer WHERE chain_id IS NULL;
+ALTER TABLE processed_block_hashes
+    ALTER COLUMN chain_id SET NOT NULL,
+    DROP CONSTRAINT IF EXISTS processed_block_hashes_pkey,
+    ADD PRIMARY KEY (chain_id, block_number);
+
+-- Retry queue
+ALTER TABLE provider_retry_queue
+    ADD COLUMN IF NOT EXISTS chain_id INTEGER;
+UPDATE provider_retry_queue SET chain_id = current_setting('tracker.base_chain_id')::integer WHERE chain_id IS NULL;
+ALTER TABLE provider_retry_queue
+    ALTER COLUMN chain_id SET NOT NULL;
+
+DO $$
+DECLARE
+    constraint_name TEXT;
+BEGIN
+    FOR constraint_name IN
+        SELECT conname FROM pg_constraint
+        WHERE conrelid = 'provider_retry_queue'::regclass AND contype = 'u'
+    LOOP
+        EXECUTE format('ALTER TABLE provider_retry_queue DROP CONSTRAINT %I', constraint_name);
+    END LOOP;
+END $$;
+
+ALTER TABLE provider_retry_queue
+    ADD CONSTRAINT provider_retry_queue_range_key
+    UNIQUE (chain_id, provider_entry_namehash, from_block, to_block);
+
+-- Wallet validity ranges are block numbers, so they are per chain too
+ALTER TABLE provider_wallets
+    ADD COLUMN IF NOT EXISTS chain_id INTEGER;
+UPDATE provider_wallets SET chain_id = current_setting('tracker.base_chain_id')::integer WHERE chain_id IS NULL;
+ALTER TABLE provider_wallets
+    ALTER COLUMN chain_id SET NOT NULL;
+
+DROP INDEX IF EXISTS idx_provider_wallets_current;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_provider_wallets_chain_current
+    ON provider_wallets(chain_id, provider_entry_namehash) WHERE valid_to_block IS NULL;
+
+-- Provider/sender pairs and hourly buckets, per chain
+ALTER TABLE provider_sender_pairs
+    ADD COLUMN IF NOT EXISTS chain_id INTEGER;
+UPDATE provider_sender_pairs SET chain_id = current_setting('tracker.base_chain_id')::integer WHERE chain_id IS NULL;
+ALTER TABLE provider_sender_pairs
+    ALTER COLUMN chain_id SET NOT NULL,
+    DROP CONSTRAINT IF EXISTS provider_sender_pairs_pkey,
+    ADD PRIMARY KEY (chain_id, provider_entry_namehash, from_address);
+
+CREATE INDEX IF NOT EXISTS idx_sender_pairs_pair
+    ON provider_sender_pairs(provider_entry_namehash, from_address);
+
+ALTER TABLE provider_sender_hourly
+    ADD COLUMN IF NOT EXISTS chain_id INTEGER;
+UPDATE provider_sender_hourly SET chain_id = current_setting('tracker.base_chain_id')::integer WHERE chain_id IS NULL;
+ALTER TABLE provider_sender_hourly
+    ALTER COLUMN chain_id SET NOT NULL,
+    DROP CONSTRAINT IF EXISTS provider_sender_hourly_pkey,
+    ADD PRIMARY KEY (chain_id, provider_entry_namehash, from_address, hour);
+
+-- Per-chain provider totals; provider_leaderboard holds the combined totals
+CREATE TABLE IF NOT EXISTS provider_chain_leaderboard (
+    chain_id INTEGER NOT NULL,
+    provider_entry_namehash VARCHAR(66) NOT NULL,
+    total_usdc_received DECIMAL(20, 6) NOT NULL DEFAULT 0,
+    transaction_count INTEGER NOT NULL DEFAULT 0,
+    unique_sender_count INTEGER NOT NULL DEFAULT 0,
+    first_transaction_at TIMESTAMP,
+    last_transaction_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (chain_id, provider_entry_namehash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chain_leaderboard_total
+    ON provider_chain_leaderboard(chain_id, total_usdc_received DESC);
+
+INSERT INTO provider_chain_leaderboard (
+    chain_id, provider_entry_namehash, total_usdc_received, transaction_count,
+    unique_sender_count, first_transaction_at, last_transaction_at
+)
+SELECT
+    chain_id,
+    provider_entry_namehash,
+    SUM(total_usdc),
+    SUM(transaction_count),
+    COUNT(*),
+    MIN(first_transaction_at),
+    MAX(last_transaction_at)
+FROM provider_sender_pairs
+GROUP BY chain_id, provider_entry_namehash
+ON CONFLICT (chain_id, provider_entry_namehash) DO NOTHING;
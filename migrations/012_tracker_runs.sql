@@ -0,0 +1,16 @@
+-- Tracker Runs
+-- One row per tracker run, replacing the run counters the old tracker_state
+-- table kept. status is success, partial (some chains failed) or failure.
+
+CREATE TABLE IF NOT EXISTS tracker_runs (
+    id SERIAL PRIMARY KEY,
+    started_at TIMESTAMP NOT NULL,
+    finished_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    status VARCHAR(16) NOT NULL,
+    transactions_inserted INTEGER NOT NULL DEFAULT 0,
+    failed_chains INTEGER[] NOT NULL DEFAULT '{}',
+    error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_tracker_runs_finished
+    ON tracker_runs(finished_at DESC);
@@ -0,0 +1,9 @@
+-- Tracker Run IDs
+-- The run_id every log line of a run carries, so a tracker_runs row can be
+-- matched to its logs. Runs recorded before this migration have none.
+
+ALTER TABLE tracker_runs
+    ADD COLUMN IF NOT EXISTS run_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_tracker_runs_run_id
+    ON tracker_runs(run_id);
@@ -0,0 +1,51 @@
+-- Reconciliations
+-- Audit trail of the reconcile command: one row per chain checked, with the
+-- blocks re-fetched and what was found, and one finding per transfer that was
+-- missing from hypermap_transactions, stored without being on chain, or
+-- stored with a different amount or token than the chain shows.
+
+CREATE TABLE IF NOT EXISTS reconciliations (
+    id SERIAL PRIMARY KEY,
+    run_id UUID,
+    chain_id INTEGER NOT NULL,
+    provider_entry_namehash VARCHAR(66), -- NULL when every provider was checked
+    from_block BIGINT NOT NULL,
+    to_block BIGINT NOT NULL,
+    windows_checked INTEGER NOT NULL DEFAULT 0,
+    sampled BOOLEAN NOT NULL DEFAULT FALSE,
+    repair BOOLEAN NOT NULL DEFAULT FALSE,
+    status VARCHAR(16) NOT NULL DEFAULT 'running', -- running, completed, failed
+    chain_payments INTEGER NOT NULL DEFAULT 0,
+    stored_payments INTEGER NOT NULL DEFAULT 0,
+    missing_count INTEGER NOT NULL DEFAULT 0,
+    extra_count INTEGER NOT NULL DEFAULT 0,
+    mismatched_count INTEGER NOT NULL DEFAULT 0,
+    repaired_count INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliations_started
+    ON reconciliations(started_at DESC);
+
+CREATE TABLE IF NOT EXISTS reconciliation_findings (
+    id BIGSERIAL PRIMARY KEY,
+    reconciliation_id INTEGER NOT NULL REFERENCES reconciliations(id) ON DELETE CASCADE,
+    chain_id INTEGER NOT NULL,
+    tx_hash VARCHAR(66) NOT NULL,
+    block_number BIGINT NOT NULL,
+    provider_entry_namehash VARCHAR(66) NOT NULL,
+    provider_entry_name VARCHAR(255),
+    kind VARCHAR(16) NOT NULL, -- missing, extra, amount_mismatch
+    stored_value_raw NUMERIC(78, 0),
+    chain_value_raw NUMERIC(78, 0),
+    repaired BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_findings_reconciliation
+    ON reconciliation_findings(reconciliation_id);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_findings_tx
+    ON reconciliation_findings(chain_id, tx_hash);
@@ -0,0 +1,42 @@
+-- Flagged Transactions
+-- Payments caught by the filters in TRACKER_CONFIG (dust, sender and provider
+-- with the same Hypermap owner, bursts from one sender to one provider) are
+-- kept here instead of hypermap_transactions, so they never reach the
+-- leaderboards. reasons lists every rule that matched. The unflag command
+-- sets status to 'unflagged' and stores the payment as usual; the row stays
+-- so a later re-fetch of the same transaction is not flagged again.
+
+CREATE TABLE IF NOT EXISTS flagged_transactions (
+    id SERIAL PRIMARY KEY,
+    chain_id INTEGER NOT NULL,
+    tx_hash VARCHAR(66) NOT NULL,
+    block_number BIGINT NOT NULL,
+    timestamp TIMESTAMP NOT NULL,
+    from_address VARCHAR(42) NOT NULL,
+    from_hypermap_name TEXT NOT NULL,
+    to_address VARCHAR(42) NOT NULL,
+    to_provider_id TEXT NOT NULL,
+    provider_entry_name TEXT NOT NULL,
+    provider_entry_namehash VARCHAR(66) NOT NULL,
+    namespace TEXT,
+    token_address VARCHAR(42) NOT NULL,
+    token_symbol VARCHAR(20) NOT NULL,
+    value_usdc DECIMAL(20, 6) NOT NULL,
+    value_raw NUMERIC(78, 0) NOT NULL,
+    gas_used BIGINT,
+    reasons TEXT[] NOT NULL, -- dust, same_owner, rate
+    status VARCHAR(16) NOT NULL DEFAULT 'flagged', -- flagged, unflagged
+    flagged_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    unflagged_at TIMESTAMP,
+    UNIQUE (chain_id, tx_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_flagged_transactions_provider
+    ON flagged_transactions(provider_entry_namehash, status);
+
+CREATE INDEX IF NOT EXISTS idx_flagged_transactions_chain_block
+    ON flagged_transactions(chain_id, block_number);
+
+-- The rate rule counts a sender's recent payments to a provider
+CREATE INDEX IF NOT EXISTS idx_transactions_pair_time
+    ON hypermap_transactions(provider_entry_namehash, from_address, timestamp);
@@ -1,61 +1,94 @@
 import pg from 'pg';
-import fetch from 'node-fetch';
+import { randomUUID } from 'node:crypto';
+import { realpathSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import readline from 'node:readline/promises';
 import { config } from 'dotenv';
+import { createDataSource } from './data-sources/index.js';
+import { createApiServer } from './api-server.js';
+import { formatUnits } from './amounts.js';
+import { runMigrations } from './migrations.js';
+import { updateRollups, rebuildRollups } from './rollups.js';
+import { loadTrackerConfig, patternToLike } from './tracker-config.js';
+import { recordPaymentEvents } from './events.js';
+import { deliverPendingWebhooks } from './webhooks.js';
+import { needsTrackerLock, parseCliArgs, USAGE } from './cli.js';
+import { metrics, registry } from './metrics.js';
+import { Scheduler, TRACKER_LOCK_ID } from './scheduler.js';
+import { logger, redact, registerSecret, withLogContext } from './logger.js';
+import { diffPayments, selectWindows } from './reconcile.js';
+import { paymentKey, screenPayments } from './filters.js';
 
 const { Pool } = pg;
 config();
 
+const log = logger.child({ component: 'tracker' });
+
 // Configuration
 const INDEXER_DATABASE_URL = process.env.INDEXER_DATABASE_URL;
 const PAYMENTS_DATABASE_URL = process.env.PAYMENTS_DATABASE_URL;
 const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY;
 const USDC_CONTRACT_ADDRESS = process.env.USDC_CONTRACT_ADDRESS || '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913';
+const USDC_DECIMALS = 6;
 const ETHERSCAN_API_URL = process.env.ETHERSCAN_API_URL || 'https://api.etherscan.io/v2/api';
 const BASE_CHAIN_ID = process.env.BASE_CHAIN_ID || '8453';
+const DATA_SOURCE = process.env.DATA_SOURCE || 'etherscan';
+const RPC_URL = process.env.RPC_URL;
+const HYPERMAP_CHAIN_ID = parseInt(process.env.HYPERMAP_CHAIN_ID || '8453'); // chain the indexer's note blocks are on
 const BLOCK_SAFETY_BUFFER = parseInt(process.env.BLOCK_SAFETY_BUFFER || '10');
 const POLL_INTERVAL_MS = parseInt(process.env.POLL_INTERVAL_MS || '600000');
+const API_PORT = parseInt(process.env.API_PORT || process.env.PORT || '3000');
+const TRACKER_CONFIG = process.env.TRACKER_CONFIG || 'tracker.config.json';
 
 // Production configuration
 const BATCH_SIZE = parseInt(process.env.BATCH_SIZE || '50');
 const RATE_LIMIT_DELAY_MS = parseInt(process.env.RATE_LIMIT_DELAY_MS || '1000');
-const MAX_RETRIES = parseInt(process.env.MAX_RETRIES || '3');
-const RETRY_DELAY_MS = parseInt(process.env.RETRY_DELAY_MS || '5000');
 const CONNECTION_POOL_SIZE = parseInt(process.env.CONNECTION_POOL_SIZE || '10');
 const CONNECTION_TIMEOUT_MS = parseInt(process.env.CONNECTION_TIMEOUT_MS || '30000');
+const RETRY_QUEUE_BATCH_SIZE = parseInt(process.env.RETRY_QUEUE_BATCH_SIZE || '20');
+const ETHERSCAN_PAGE_SIZE = parseInt(process.env.ETHERSCAN_PAGE_SIZE || '1000');
+const ETHERSCAN_RESULT_WINDOW = parseInt(process.env.ETHERSCAN_RESULT_WINDOW || '10000'); // page * offset cap
+const ETHERSCAN_CALLS_PER_SECOND = parseInt(process.env.ETHERSCAN_CALLS_PER_SECOND || '1');
+const BLOCK_CHUNK_SIZE = parseInt(process.env.BLOCK_CHUNK_SIZE || '100000');
+const RPC_MAX_BLOCK_RANGE = parseInt(process.env.RPC_MAX_BLOCK_RANGE || '10000');
+const RPC_ADDRESSES_PER_CALL = parseInt(process.env.RPC_ADDRESSES_PER_CALL || '100');
+const REORG_CHECK_DEPTH = parseInt(process.env.REORG_CHECK_DEPTH || '64'); // block hashes kept for reorg checks
+const EVENTS_MAX_BLOCK_LAG = parseInt(process.env.EVENTS_MAX_BLOCK_LAG || '1000'); // runs further behind catch up without events
+const WEBHOOK_POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '30000'); // daemon retry sweep
+const READY_MAX_BLOCK_LAG = parseInt(process.env.READY_MAX_BLOCK_LAG || '1000'); // /readyz fails beyond this
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '25000'); // drain before a forced exit
 
 // Global connection pools (singleton pattern)
 let indexerPool = null;
 let paymentsPool = null;
 
-// Rate limiting state
-let lastApiCall = 0;
-const apiCallQueue = [];
+// HTTP API server and run scheduler (daemon mode only)
+let apiServer = null;
+let scheduler = null;
+let webhookTimer = null;
+
+// Set on SIGTERM/SIGINT; runs stop at the next checkpoint
+let shutdownRequested = false;
+
+// Parsed command line (set by main)
+let cli = null;
 
 // Memory management
 const memoryThreshold = 500 * 1024 * 1024; // 500MB
 let transactionBatch = [];
 
-class RateLimiter {
-    constructor(maxCallsPerSecond = 1) {
-        this.maxCallsPerSecond = maxCallsPerSecond;
-        this.lastCallTime = 0;
-    }
+// Outcome of the last run and each chain's progress, for /readyz
+const runState = {
+    lastRunAt: null,
+    lastRunError: null,
+    chains: new Map()
+};
 
-    async wait() {
-        const now = Date.now();
-        const timeSinceLastCall = now - this.lastCallTime;
-        const minInterval = 1000 / this.maxCallsPerSecond;
-        
-        if (timeSinceLastCall < minInterval) {
-            const waitTime = minInterval - timeSinceLastCall;
-            await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
-        
-        this.lastCallTime = Date.now();
-    }
-}
+// Owner of every Hypermap TBA, from the last provider load, for the
+// same-owner filter
+let tbaOwners = null;
 
-class ConnectionManager {
+export class ConnectionManager {
     static getIndexerPool() {
         if (!indexerPool) {
             indexerPool = new Pool({
@@ -66,16 +99,16 @@ class ConnectionManager {
                 statement_timeout: 30000,
                 query_timeout: 30000
             });
-
+            
             // Handle pool errors
             indexerPool.on('error', (err) => {
-                console.error('Indexer pool error:', err);
+                log.error('Indexer pool error', { error: err });
                 indexerPool = null; // Force recreation on next call
             });
         }
         return indexerPool;
     }
-
+    
     static getPaymentsPool() {
         if (!paymentsPool) {
             paymentsPool = new Pool({
@@ -86,16 +119,20 @@ class ConnectionManager {
                 statement_timeout: 30000,
                 query_timeout: 30000
             });
-
+            
             // Handle pool errors
             paymentsPool.on('error', (err) => {
-                console.error('Payments pool error:', err);
+                log.error('Payments pool error', { error: err });
                 paymentsPool = null; // Force recreation on next call
             });
         }
         return paymentsPool;
     }
-
+    
+    static getPools() {
+        return { indexer: indexerPool, payments: paymentsPool };
+    }
+    
     static async closeAll() {
         if (indexerPool) {
             await indexerPool.end();
@@ -108,18 +145,37 @@ class ConnectionManager {
     }
 }
 
+// Point-in-time gauges, refreshed on every /metrics scrape
+registry.onCollect(() => {
+    metrics.heapUsed.set({}, process.memoryUsage().heapUsed);
+    if (scheduler) {
+        metrics.leader.set({}, scheduler.isLeader ? 1 : 0);
+    }
+    for (const [name, pool] of Object.entries(ConnectionManager.getPools())) {
+        if (!pool) continue;
+        metrics.poolConnections.set({ pool: name, state: 'total' }, pool.totalCount);
+        metrics.poolConnections.set({ pool: name, state: 'idle' }, pool.idleCount);
+        metrics.poolConnections.set({ pool: name, state: 'waiting' }, pool.waitingCount);
+    }
+});
+
+function toMegabytes(bytes) {
+    return Math.round(bytes / 1024 / 1024 * 100) / 100;
+}
+
 // Memory monitoring
 function checkMemoryUsage() {
     const memUsage = process.memoryUsage();
     const heapUsed = memUsage.heapUsed;
     
     if (heapUsed > memoryThreshold) {
-        console.warn(`Memory usage high: ${(heapUsed / 1024 / 1024).toFixed(2)}MB`);
+        metrics.memoryThresholdExceeded.inc();
+        log.warn('Memory usage high', { heap_used_mb: toMegabytes(heapUsed) });
         
         // Force garbage collection if available
         if (global.gc) {
             global.gc();
-            console.log('Garbage collection triggered');
+            log.info('Garbage collection triggered');
         }
         
         return false;
@@ -127,136 +183,685 @@ function checkMemoryUsage() {
     return true;
 }
 
-// Retry wrapper with exponential backoff
-async function withRetry(operation, maxRetries = MAX_RETRIES) {
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            return await operation();
-        } catch (error) {
-            if (attempt === maxRetries) {
-                throw error;
-            }
-            
-            const delay = RETRY_DELAY_MS * Math.pow(2, attempt - 1);
-            console.warn(`Attempt ${attempt} failed, retrying in ${delay}ms:`, error.message);
-            await new Promise(resolve => setTimeout(resolve, delay));
-        }
-    }
+// Tracked namespaces, sender TBA patterns and chains. Without a config file
+// only grid.hypr, grid-wallet.* and USDC on BASE_CHAIN_ID are tracked;
+// chains without their own source/rpcUrl use DATA_SOURCE and RPC_URL.
+const trackerConfig = loadTrackerConfig(TRACKER_CONFIG, {
+    namespaces: ['grid.hypr'],
+    senderPatterns: ['grid-wallet.*'],
+    chains: [{
+        chainId: BASE_CHAIN_ID,
+        name: 'base',
+        tokens: [{ symbol: 'USDC', address: USDC_CONTRACT_ADDRESS, decimals: USDC_DECIMALS }]
+    }]
+}, { source: DATA_SOURCE, rpcUrl: RPC_URL });
+
+// Keep credentials out of logs and stored error messages
+registerSecret(ETHERSCAN_API_KEY);
+for (const webhook of trackerConfig.webhooks) {
+    registerSecret(webhook.secret);
 }
 
-// Rate-limited API calls
-const rateLimiter = new RateLimiter(1); // 1 call per second
+// One blockchain data source (Etherscan API or direct JSON-RPC) per chain
+const chains = trackerConfig.chains.map(chain => ({
+    ...chain,
+    acceptedTokens: new Map(chain.tokens.map(token => [token.address, token])),
+    dataSource: createDataSource(chain.source, {
+        chainId: chain.chainId,
+        tokenAddresses: chain.tokens.map(token => token.address),
+        etherscanApiUrl: ETHERSCAN_API_URL,
+        etherscanApiKey: ETHERSCAN_API_KEY,
+        etherscanPageSize: ETHERSCAN_PAGE_SIZE,
+        etherscanResultWindow: ETHERSCAN_RESULT_WINDOW,
+        etherscanCallsPerSecond: ETHERSCAN_CALLS_PER_SECOND,
+        rpcUrl: chain.rpcUrl,
+        rpcMaxBlockRange: RPC_MAX_BLOCK_RANGE,
+        rpcAddressesPerCall: RPC_ADDRESSES_PER_CALL
+    })
+}));
 
-async function getCurrentBlockHeight() {
-    await rateLimiter.wait();
+// Walk a dotted Hypermap name (e.g. grid.hypr) down from the root entry.
+// Returns null when any label along the way is missing.
+async function findNamespaceNamehash(client, name) {
+    let parentHash = '0x0000000000000000000000000000000000000000000000000000000000000000';
     
-    return withRetry(async () => {
-        const url = new URL(ETHERSCAN_API_URL);
-        url.searchParams.append('module', 'proxy');
-        url.searchParams.append('action', 'eth_blockNumber');
-        url.searchParams.append('chainid', BASE_CHAIN_ID);
-        url.searchParams.append('apikey', ETHERSCAN_API_KEY);
+    for (const label of name.split('.').reverse()) {
+        const result = await client.query(`
+            SELECT namehash FROM entries 
+            WHERE label = $1 
+            AND parent_hash = $2
+        `, [label, parentHash]);
         
-        const response = await fetch(url.toString(), {
-            timeout: 10000,
-            headers: { 'User-Agent': 'Hypergrid-Payment-Tracker/1.0' }
-        });
-        
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        if (result.rows.length === 0) {
+            return null;
         }
-        
-        const data = await response.json();
-        
-        if (data.error) {
-            throw new Error(`API Error: ${data.error.message}`);
+        parentHash = result.rows[0].namehash;
+    }
+    
+    return parentHash;
+}
+
+// Indexer schemas differ between deployments; optional columns are only read where they exist
+async function hasColumn(client, table, column) {
+    const result = await client.query(`
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = $1 AND column_name = $2
+    `, [table, column]);
+    return result.rows.length > 0;
+}
+
+// Batch transaction insertion. The provider and sender leaderboards (combined
+// and per chain), provider/sender pairs and time rollups are updated from only
+// the rows actually inserted, so totals stay incremental. A pair first seen on
+// this chain only adds a unique sender to the combined totals when no other
+// chain has it yet. With emitEvents (payments from new blocks at the chain
+// head) each new payment is also recorded as a payment event; backfills,
+// retries and catch-up runs only write history.
+// Returns the number of new transactions.
+async function insertTransactionBatch(client, transactions, emitEvents = false) {
+    if (transactions.length === 0) return 0;
+    
+    const columnCount = 16;
+    const values = transactions.map((tx, index) => {
+        const offset = index * columnCount;
+        const placeholders = Array.from({ length: columnCount }, (_, i) => `$${offset + i + 1}`);
+        return `(${placeholders.join(', ')})`;
+    }).join(', ');
+    
+    const params = transactions.flatMap(tx => [
+        tx.chainId,
+        tx.hash,
+        tx.blockNumber,
+        tx.timestamp,
+        tx.fromAddress,
+        tx.fromHypermapName,
+        tx.toAddress,
+        tx.toProviderId,
+        tx.providerEntryName,
+        tx.providerEntryNamehash,
+        tx.namespace,
+        tx.tokenAddress,
+        tx.tokenSymbol,
+        tx.valueUsdc,
+        tx.valueRaw,
+        tx.gasUsed
+    ]);
+    
+    const result = await client.query(`
+        WITH inserted AS (
+            INSERT INTO hypermap_transactions (
+                chain_id, tx_hash, block_number, timestamp, from_address,
+                from_hypermap_name, to_address, to_provider_id,
+                provider_entry_name, provider_entry_namehash, namespace,
+                token_address, token_symbol, value_usdc, value_raw, gas_used
+            ) VALUES ${values}
+            ON CONFLICT (chain_id, tx_hash) DO NOTHING
+            RETURNING
+                chain_id, tx_hash, block_number, timestamp, from_address,
+                from_hypermap_name, to_address, provider_entry_name,
+                provider_entry_namehash, namespace, token_address, token_symbol,
+                value_usdc, value_raw
+        ),
+        pair_deltas AS (
+            SELECT
+                chain_id,
+                provider_entry_namehash,
+                from_address,
+                MAX(from_hypermap_name) as from_hypermap_name,
+                COUNT(*) as tx_count,
+                SUM(value_usdc) as total_usdc,
+                MIN(timestamp) as first_tx,
+                MAX(timestamp) as last_tx
+            FROM inserted
+            GROUP BY chain_id, provider_entry_namehash, from_address
+        ),
+        pairs AS (
+            INSERT INTO provider_sender_pairs AS p (
+                chain_id, provider_entry_namehash, from_address, transaction_count,
+                total_usdc, first_transaction_at, last_transaction_at
+            )
+            SELECT chain_id, provider_entry_namehash, from_address, tx_count, total_usdc, first_tx, last_tx
+            FROM pair_deltas
+            ON CONFLICT (chain_id, provider_entry_namehash, from_address) DO UPDATE SET
+                transaction_count = p.transaction_count + EXCLUDED.transaction_count,
+                total_usdc = p.total_usdc + EXCLUDED.total_usdc,
+                first_transaction_at = LEAST(p.first_transaction_at, EXCLUDED.first_transaction_at),
+                last_transaction_at = GREATEST(p.last_transaction_at, EXCLUDED.last_transaction_at)
+            RETURNING
+                p.chain_id,
+                p.provider_entry_namehash,
+                p.from_address,
+                (xmax = 0) as is_new_on_chain,
+                (xmax = 0) AND NOT EXISTS (
+                    SELECT 1 FROM provider_sender_pairs other
+                    WHERE other.provider_entry_namehash = p.provider_entry_namehash
+                    AND other.from_address = p.from_address
+                    AND other.chain_id <> p.chain_id
+                ) as is_new_sender
+        ),
+        chain_deltas AS (
+            SELECT
+                d.chain_id,
+                d.provider_entry_namehash,
+                SUM(d.tx_count) as tx_count,
+                SUM(d.total_usdc) as total_usdc,
+                MIN(d.first_tx) as first_tx,
+                MAX(d.last_tx) as last_tx,
+                (
+                    SELECT COUNT(*) FROM pairs
+                    WHERE pairs.chain_id = d.chain_id
+                    AND pairs.provider_entry_namehash = d.provider_entry_namehash
+                    AND pairs.is_new_on_chain
+                ) as new_senders
+            FROM pair_deltas d
+            GROUP BY d.chain_id, d.provider_entry_namehash
+        ),
+        chain_leaderboard AS (
+            INSERT INTO provider_chain_leaderboard AS cl (
+                chain_id, provider_entry_namehash, total_usdc_received, transaction_count,
+                unique_sender_count, first_transaction_at, last_transaction_at
+            )
+            SELECT chain_id, provider_entry_namehash, total_usdc, tx_count, new_senders, first_tx, last_tx
+            FROM chain_deltas
+            ON CONFLICT (chain_id, provider_entry_namehash) DO UPDATE SET
+                total_usdc_received = cl.total_usdc_received + EXCLUDED.total_usdc_received,
+                transaction_count = cl.transaction_count + EXCLUDED.transaction_count,
+                unique_sender_count = cl.unique_sender_count + EXCLUDED.unique_sender_count,
+                first_transaction_at = LEAST(cl.first_transaction_at, EXCLUDED.first_transaction_at),
+                last_transaction_at = GREATEST(cl.last_transaction_at, EXCLUDED.last_transaction_at),
+                updated_at = NOW()
+            RETURNING cl.provider_entry_namehash
+        ),
+        provider_deltas AS (
+            SELECT
+                d.provider_entry_namehash,
+                SUM(d.tx_count) as tx_count,
+                SUM(d.total_usdc) as total_usdc,
+                MIN(d.first_tx) as first_tx,
+                MAX(d.last_tx) as last_tx,
+                (
+                    SELECT COUNT(*) FROM pairs
+                    WHERE pairs.provider_entry_namehash = d.provider_entry_namehash
+                    AND pairs.is_new_sender
+                ) as new_senders
+            FROM pair_deltas d
+            GROUP BY d.provider_entry_namehash
+        ),
+        leaderboard AS (
+            UPDATE provider_leaderboard pl
+            SET
+                total_usdc_received = pl.total_usdc_received + pd.total_usdc,
+                transaction_count = pl.transaction_count + pd.tx_count,
+                unique_sender_count = pl.unique_sender_count + pd.new_senders,
+                first_transaction_at = LEAST(pl.first_transaction_at, pd.first_tx),
+                last_transaction_at = GREATEST(pl.last_transaction_at, pd.last_tx),
+                updated_at = NOW()
+            FROM provider_deltas pd
+            WHERE pl.provider_entry_namehash = pd.provider_entry_namehash
+            RETURNING pl.provider_entry_namehash
+        ),
+        sender_deltas AS (
+            SELECT
+                d.from_address,
+                MAX(d.from_hypermap_name) as from_hypermap_name,
+                SUM(d.tx_count) as tx_count,
+                SUM(d.total_usdc) as total_usdc,
+                MIN(d.first_tx) as first_tx,
+                MAX(d.last_tx) as last_tx,
+                (
+                    SELECT COUNT(*) FROM pairs
+                    WHERE pairs.from_address = d.from_address
+                    AND pairs.is_new_sender
+                ) as new_providers
+            FROM pair_deltas d
+            GROUP BY d.from_address
+        ),
+        senders AS (
+            INSERT INTO sender_leaderboard AS sl (
+                from_address, from_hypermap_name, total_usdc_spent, transaction_count,
+                provider_count, first_transaction_at, last_transaction_at
+            )
+            SELECT from_address, from_hypermap_name, total_usdc, tx_count, new_providers, first_tx, last_tx
+            FROM sender_deltas
+            ON CONFLICT (from_address) DO UPDATE SET
+                from_hypermap_name = EXCLUDED.from_hypermap_name,
+                total_usdc_spent = sl.total_usdc_spent + EXCLUDED.total_usdc_spent,
+                transaction_count = sl.transaction_count + EXCLUDED.transaction_count,
+                provider_count = sl.provider_count + EXCLUDED.provider_count,
+                first_transaction_at = LEAST(sl.first_transaction_at, EXCLUDED.first_transaction_at),
+                last_transaction_at = GREATEST(sl.last_transaction_at, EXCLUDED.last_transaction_at),
+                updated_at = NOW()
+            RETURNING sl.from_address
+        )
+        SELECT * FROM inserted
+    `, params);
+    
+    await updateRollups(client, result.rows);
+    if (emitEvents) {
+        await recordPaymentEvents(client, 'payment.received', result.rows, trackerConfig.webhooks);
+    }
+    for (const row of result.rows) {
+        metrics.transactionsInserted.inc({ chain_id: row.chain_id });
+    }
+    return result.rows.length;
+}
+
+// Recompute provider/sender pairs, rollups and leaderboard totals from the
+// stored transactions, for the given providers or (by default) all of them.
+// Returns the providers whose stored totals had drifted from the recount.
+async function rebuildLeaderboard(client, namehashes = null) {
+    const filter = namehashes ? 'WHERE provider_entry_namehash = ANY($1)' : '';
+    const params = namehashes ? [namehashes] : [];
+    
+    await rebuildRollups(client, namehashes);
+    
+    // Senders who paid these providers need their spending totals recounted too
+    const senders = namehashes
+        ? (await client.query(`SELECT DISTINCT from_address FROM provider_sender_pairs ${filter}`, params)).rows.map(row => row.from_address)
+        : null;
+    
+    await client.query(`DELETE FROM provider_sender_pairs ${filter}`, params);
+    await client.query(`
+        INSERT INTO provider_sender_pairs (
+            chain_id, provider_entry_namehash, from_address, transaction_count,
+            total_usdc, first_transaction_at, last_transaction_at
+        )
+        SELECT
+            chain_id,
+            provider_entry_namehash,
+            from_address,
+            COUNT(*),
+            SUM(value_usdc),
+            MIN(timestamp),
+            MAX(timestamp)
+        FROM hypermap_transactions
+        ${filter || 'WHERE provider_entry_namehash IS NOT NULL'}
+        GROUP BY chain_id, provider_entry_namehash, from_address
+    `, params);
+    
+    await client.query(`DELETE FROM provider_chain_leaderboard ${filter}`, params);
+    await client.query(`
+        INSERT INTO provider_chain_leaderboard (
+            chain_id, provider_entry_namehash, total_usdc_received, transaction_count,
+            unique_sender_count, first_transaction_at, last_transaction_at
+        )
+        SELECT
+            chain_id,
+            provider_entry_namehash,
+            SUM(total_usdc),
+            SUM(transaction_count),
+            COUNT(*),
+            MIN(first_transaction_at),
+            MAX(last_transaction_at)
+        FROM provider_sender_pairs
+        ${filter}
+        GROUP BY chain_id, provider_entry_namehash
+    `, params);
+    
+    await rebuildSenderLeaderboard(client, senders);
+    
+    const drift = await client.query(`
+        WITH stats AS (
+            SELECT
+                provider_entry_namehash,
+                SUM(transaction_count) as tx_count,
+                SUM(total_usdc) as total_usdc,
+                COUNT(DISTINCT from_address) as unique_senders,
+                MIN(first_transaction_at) as first_tx,
+                MAX(last_transaction_at) as last_tx
+            FROM provider_sender_pairs
+            ${filter}
+            GROUP BY provider_entry_namehash
+        ),
+        previous AS (
+            SELECT provider_entry_namehash, total_usdc_received, transaction_count, unique_sender_count
+            FROM provider_leaderboard
+            ${filter}
+        ),
+        rebuilt AS (
+            UPDATE provider_leaderboard pl
+            SET
+                total_usdc_received = COALESCE(stats.total_usdc, 0),
+                transaction_count = COALESCE(stats.tx_count, 0),
+                unique_sender_count = COALESCE(stats.unique_senders, 0),
+                first_transaction_at = stats.first_tx,
+                last_transaction_at = stats.last_tx,
+                updated_at = NOW()
+            FROM previous
+            LEFT JOIN stats ON stats.provider_entry_namehash = previous.provider_entry_namehash
+            WHERE pl.provider_entry_namehash = previous.provider_entry_namehash
+            RETURNING
+                pl.provider_entry_namehash,
+                pl.provider_entry_name,
+                pl.total_usdc_received,
+                pl.transaction_count,
+                pl.unique_sender_count
+        )
+        SELECT
+            rebuilt.provider_entry_name,
+            previous.total_usdc_received as stored_total_usdc,
+            rebuilt.total_usdc_received as actual_total_usdc,
+            previous.transaction_count as stored_transaction_count,
+            rebuilt.transaction_count as actual_transaction_count,
+            previous.unique_sender_count as stored_unique_senders,
+            rebuilt.unique_sender_count as actual_unique_senders
+        FROM rebuilt
+        JOIN previous ON previous.provider_entry_namehash = rebuilt.provider_entry_namehash
+        WHERE previous.total_usdc_received IS DISTINCT FROM rebuilt.total_usdc_received
+        OR previous.transaction_count IS DISTINCT FROM rebuilt.transaction_count
+        OR previous.unique_sender_count IS DISTINCT FROM rebuilt.unique_sender_count
+        ORDER BY rebuilt.provider_entry_name
+    `, params);
+    
+    return drift.rows;
+}
+
+// Recompute sender spending totals from provider_sender_pairs, for the given
+// sender addresses or (by default) all of them
+async function rebuildSenderLeaderboard(client, senders = null) {
+    const params = senders ? [senders] : [];
+    
+    await client.query(`DELETE FROM sender_leaderboard ${senders ? 'WHERE from_address = ANY($1)' : ''}`, params);
+    await client.query(`
+        INSERT INTO sender_leaderboard (
+            from_address, from_hypermap_name, total_usdc_spent, transaction_count,
+            provider_count, first_transaction_at, last_transaction_at
+        )
+        SELECT
+            p.from_address,
+            (
+                SELECT t.from_hypermap_name FROM hypermap_transactions t
+                WHERE t.from_address = p.from_address
+                ORDER BY t.timestamp DESC
+                LIMIT 1
+            ),
+            SUM(p.total_usdc),
+            SUM(p.transaction_count),
+            COUNT(DISTINCT p.provider_entry_namehash),
+            MIN(p.first_transaction_at),
+            MAX(p.last_transaction_at)
+        FROM provider_sender_pairs p
+        ${senders ? 'WHERE p.from_address = ANY($1)' : ''}
+        GROUP BY p.from_address
+    `, params);
+}
+
+// Turn a provider's raw transfers into payment rows from known TBAs. Only
+// accepted tokens inside the wallet's validity range count for the provider.
+export function buildPaymentRecords(chain, provider, transactions, tbaMap) {
+    const walletAddress = provider.wallet_address.toLowerCase();
+    const incomingTxs = transactions.filter(tx =>
+        tx.to.toLowerCase() === walletAddress &&
+        chain.acceptedTokens.has(tx.contractAddress?.toLowerCase()) &&
+        isWalletValidAt(provider, parseInt(tx.blockNumber))
+    );
+    // Providers are direct children of their namespace
+    const namespace = provider.full_name.slice(provider.full_name.indexOf('.') + 1);
+    const payments = [];
+    
+    for (const tx of incomingTxs) {
+        const senderName = tbaMap.get(tx.from.toLowerCase());
+        const token = chain.acceptedTokens.get(tx.contractAddress.toLowerCase());
+        if (senderName) {
+            payments.push({
+                chainId: chain.chainId,
+                hash: tx.hash,
+                blockNumber: parseInt(tx.blockNumber),
+                timestamp: new Date(parseInt(tx.timeStamp) * 1000),
+                fromAddress: tx.from.toLowerCase(),
+                fromHypermapName: senderName,
+                toAddress: tx.to.toLowerCase(),
+                toProviderId: provider.provider_id,
+                providerEntryName: provider.full_name,
+                providerEntryNamehash: provider.namehash,
+                namespace,
+                tokenAddress: token.address,
+                tokenSymbol: token.symbol,
+                valueUsdc: formatUnits(tx.value, token.decimals),
+                valueRaw: BigInt(tx.value).toString(),
+                gasUsed: tx.gasUsed ? parseInt(tx.gasUsed) : null
+            });
         }
-        
-        return parseInt(data.result, 16);
-    });
+    }
+    
+    return { incomingCount: incomingTxs.length, payments };
+}
+
+// Provider wallet history: each ~wallet a provider used and the blocks it was valid for
+function isWalletValidAt(provider, blockNumber) {
+    return (provider.validFromBlock === undefined || blockNumber >= provider.validFromBlock) &&
+        (provider.validToBlock === undefined || provider.validToBlock === null || blockNumber <= provider.validToBlock);
 }
 
-async function fetchUsdcTransactions(address, fromBlock, toBlock) {
-    await rateLimiter.wait();
+// Record the provider's current ~wallet on a chain. When the note has changed
+// since the last run, the new wallet takes over from the block the note was
+// set in (if the indexer records it and this is the Hypermap chain, otherwise
+// after the chain's cursor). If
+// that block was already indexed, payments stored for the old wallet from it
+// on are removed and the new wallet's missed blocks are queued. Returns true
+// the first time the provider is seen on the chain.
+async function syncProviderWallet(client, chainId, provider, lastProcessedBlock) {
+    const walletAddress = provider.wallet_address.toLowerCase();
+    const current = await client.query(`
+        SELECT id, wallet_address, valid_from_block FROM provider_wallets
+        WHERE chain_id = $1 AND provider_entry_namehash = $2 AND valid_to_block IS NULL
+    `, [chainId, provider.namehash]);
     
-    return withRetry(async () => {
-        const url = new URL(ETHERSCAN_API_URL);
-        url.searchParams.append('module', 'account');
-        url.searchParams.append('action', 'tokentx');
-        url.searchParams.append('chainid', BASE_CHAIN_ID);
-        url.searchParams.append('address', address);
-        url.searchParams.append('contractaddress', USDC_CONTRACT_ADDRESS);
-        url.searchParams.append('startblock', fromBlock.toString());
-        url.searchParams.append('endblock', toBlock.toString());
-        url.searchParams.append('sort', 'asc');
-        url.searchParams.append('apikey', ETHERSCAN_API_KEY);
-        
-        console.log(`  API call: ${address} (blocks ${fromBlock}-${toBlock})`);
-        
-        const response = await fetch(url.toString(), {
-            timeout: 15000,
-            headers: { 'User-Agent': 'Hypergrid-Payment-Tracker/1.0' }
+    if (current.rows[0]?.wallet_address === walletAddress) {
+        return false;
+    }
+    
+    let validFromBlock = 0;
+    if (current.rows.length > 0) {
+        const previous = current.rows[0];
+        const changeBlock = chainId === HYPERMAP_CHAIN_ID && provider.wallet_block !== null
+            ? parseInt(provider.wallet_block)
+            : lastProcessedBlock + 1;
+        validFromBlock = Math.max(changeBlock, parseInt(previous.valid_from_block) + 1);
+        log.info('Provider wallet changed', {
+            provider: provider.full_name,
+            old_wallet: previous.wallet_address,
+            new_wallet: walletAddress,
+            from_block: validFromBlock
         });
+        await client.query(`
+            UPDATE provider_wallets
+            SET valid_to_block = $2, updated_at = NOW()
+            WHERE id = $1
+        `, [previous.id, validFromBlock - 1]);
         
-        if (!response.ok) {
-            console.error(`  API error: HTTP ${response.status}: ${response.statusText}`);
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        if (validFromBlock <= lastProcessedBlock) {
+            await removeWalletPayments(client, chainId, provider, previous.wallet_address, validFromBlock);
+            await queueProviderRange(client, chainId, provider, validFromBlock, lastProcessedBlock, 'wallet changed');
         }
+    }
+    
+    await client.query(`
+        INSERT INTO provider_wallets (chain_id, provider_entry_namehash, wallet_address, valid_from_block)
+        VALUES ($1, $2, $3, $4)
+    `, [chainId, provider.namehash, walletAddress, validFromBlock]);
+    return current.rows.length === 0;
+}
+
+// Payments to a provider's old wallet from `fromBlock` on were counted for it
+// before the wallet change was seen; drop them and recount the provider
+async function removeWalletPayments(client, chainId, provider, walletAddress, fromBlock) {
+    const deleted = await client.query(`
+        DELETE FROM hypermap_transactions
+        WHERE chain_id = $1 AND provider_entry_namehash = $2 AND to_address = $3 AND block_number >= $4
+        RETURNING
+            chain_id, tx_hash, block_number, timestamp, from_address,
+            from_hypermap_name, to_address, provider_entry_name,
+            provider_entry_namehash, namespace, token_address, token_symbol,
+            value_usdc, value_raw
+    `, [chainId, provider.namehash, walletAddress, fromBlock]);
+    await client.query(`
+        DELETE FROM flagged_transactions
+        WHERE chain_id = $1 AND provider_entry_namehash = $2 AND to_address = $3 AND block_number >= $4 AND status = 'flagged'
+    `, [chainId, provider.namehash, walletAddress, fromBlock]);
+    
+    if (deleted.rowCount > 0) {
+        await rebuildLeaderboard(client, [provider.namehash]);
+        await recordPaymentEvents(client, 'payment.reverted', deleted.rows, trackerConfig.webhooks);
+        log.warn('Removed payments to a replaced wallet', { provider: provider.full_name, wallet: walletAddress, from_block: fromBlock, removed_transactions: deleted.rowCount });
+    }
+}
+
+// One entry per provider wallet valid anywhere in the block range
+async function getWalletAssignments(client, chainId, providers, fromBlock, toBlock) {
+    const byNamehash = new Map(providers.map(provider => [provider.namehash, provider]));
+    const wallets = await client.query(`
+        SELECT provider_entry_namehash, wallet_address, valid_from_block, valid_to_block
+        FROM provider_wallets
+        WHERE chain_id = $1
+        AND provider_entry_namehash = ANY($2)
+        AND valid_from_block <= $4
+        AND (valid_to_block IS NULL OR valid_to_block >= $3)
+        ORDER BY provider_entry_namehash, valid_from_block
+    `, [chainId, [...byNamehash.keys()], fromBlock, toBlock]);
+    
+    return wallets.rows.map(row => ({
+        ...byNamehash.get(row.provider_entry_namehash),
+        wallet_address: row.wallet_address,
+        validFromBlock: parseInt(row.valid_from_block),
+        validToBlock: row.valid_to_block === null ? null : parseInt(row.valid_to_block)
+    }));
+}
+
+// Retry queue: provider/block ranges that still have to be fetched, either
+// because the fetch failed or because the provider appeared after the cursor
+async function queueProviderRange(client, chainId, provider, fromBlock, toBlock, reason) {
+    await client.query(`
+        INSERT INTO provider_retry_queue (
+            chain_id, provider_entry_namehash, provider_entry_name, provider_id,
+            wallet_address, from_block, to_block, last_error
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (chain_id, provider_entry_namehash, from_block, to_block) DO UPDATE SET
+            attempts = provider_retry_queue.attempts + 1,
+            last_error = EXCLUDED.last_error,
+            updated_at = NOW()
+    `, [
+        chainId, provider.namehash, provider.full_name, provider.provider_id,
+        provider.wallet_address.toLowerCase(), fromBlock, toBlock, redact(reason)
+    ]);
+}
+
+// Add payments to the pending batch, flushing it whenever it fills up
+async function addToBatch(client, payments, emitEvents = false) {
+    let flushed = 0;
+    for (const payment of payments) {
+        transactionBatch.push(payment);
         
-        const data = await response.json();
-        
-        if (data.status === '1') {
-            console.log(`  API success: ${data.result?.length || 0} transactions found`);
-            return data.result || [];
-        } else if (data.message === 'No transactions found') {
-            console.log(`  API response: No transactions found`);
-            return [];
-        } else if (data.message && data.message.includes('rate limit')) {
-            console.error(`  API rate limit: ${data.message}`);
-            throw new Error('Rate limit exceeded');
+        // Flush batch if it gets too large
+        if (transactionBatch.length >= BATCH_SIZE) {
+            flushed += await flushBatch(client, emitEvents);
         }
-        
-        console.error(`  API error: ${data.message || 'Unknown error'}`);
-        throw new Error(data.message || 'API request failed');
-    });
+    }
+    return flushed;
 }
 
-async function findGridHyprNamehash(client) {
-    const hyprResult = await client.query(`
-        SELECT namehash FROM entries 
-        WHERE label = 'hypr' 
-        AND parent_hash = '0x0000000000000000000000000000000000000000000000000000000000000000'
-    `);
+async function flushBatch(client, emitEvents = false) {
+    if (transactionBatch.length === 0) return 0;
     
-    if (hyprResult.rows.length === 0) {
-        throw new Error('hypr namespace not found');
+    const inserted = await storePayments(client, transactionBatch, emitEvents);
+    transactionBatch = [];
+    return inserted;
+}
+
+function hasFilters() {
+    const { filters } = trackerConfig;
+    return filters.minAmount !== null || filters.sameOwner || filters.rate !== null;
+}
+
+// Check payments against the filters without writing anything. Payments
+// already stored or unflagged by an admin pass; ones flagged earlier are held
+// back; the rest are screened. Returns { clean, flagged: Map of paymentKey to
+// reasons, held: Set of paymentKeys }.
+async function screenNewPayments(client, payments) {
+    const flagged = new Map();
+    const held = new Set();
+    if (payments.length === 0 || !hasFilters()) {
+        return { clean: payments, flagged, held };
     }
     
-    const hyprHash = hyprResult.rows[0].namehash;
+    const keys = [payments.map(payment => payment.chainId), payments.map(payment => payment.hash)];
+    const stored = await client.query(`
+        SELECT chain_id, tx_hash FROM hypermap_transactions
+        WHERE (chain_id, tx_hash) IN (SELECT * FROM unnest($1::int[], $2::text[]))
+    `, keys);
+    const earlier = await client.query(`
+        SELECT chain_id, tx_hash, status FROM flagged_transactions
+        WHERE (chain_id, tx_hash) IN (SELECT * FROM unnest($1::int[], $2::text[]))
+    `, keys);
     
-    const gridResult = await client.query(`
-        SELECT namehash FROM entries 
-        WHERE label = 'grid' 
-        AND parent_hash = $1
-    `, [hyprHash]);
+    const rowKey = (row) => paymentKey({ chainId: row.chain_id, hash: row.tx_hash });
+    const passed = new Set(stored.rows.map(rowKey));
+    for (const row of earlier.rows) {
+        if (row.status === 'unflagged') {
+            passed.add(rowKey(row));
+        } else {
+            held.add(rowKey(row));
+        }
+    }
     
-    if (gridResult.rows.length === 0) {
-        throw new Error('grid.hypr namespace not found');
+    const candidates = payments.filter(payment => !passed.has(paymentKey(payment)) && !held.has(paymentKey(payment)));
+    const recent = trackerConfig.filters.rate ? await getRecentPayments(client, candidates) : new Map();
+    for (const [key, reasons] of screenPayments(candidates, trackerConfig.filters, { tbaOwners, recent })) {
+        flagged.set(key, reasons);
     }
     
-    return gridResult.rows[0].namehash;
+    const clean = payments.filter(payment => !held.has(paymentKey(payment)) && !flagged.has(paymentKey(payment)));
+    return { clean, flagged, held };
 }
 
-// Batch transaction insertion
-async function insertTransactionBatch(client, transactions) {
-    if (transactions.length === 0) return;
+// Stored payment times for each sender/provider pair in the rate window
+// leading up to the payments
+async function getRecentPayments(client, payments) {
+    const recent = new Map();
+    if (payments.length === 0) return recent;
     
-    const values = transactions.map((tx, index) => {
-        const offset = index * 10;
-        return `($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, $${offset + 7}, $${offset + 8}, $${offset + 9}, $${offset + 10})`;
+    const times = payments.map(payment => payment.timestamp.getTime());
+    const windowMs = trackerConfig.filters.rate.windowSeconds * 1000;
+    const result = await client.query(`
+        SELECT provider_entry_namehash, from_address, timestamp
+        FROM hypermap_transactions
+        WHERE (provider_entry_namehash, from_address) IN (SELECT * FROM unnest($1::text[], $2::text[]))
+        AND timestamp > $3 AND timestamp <= $4
+    `, [
+        payments.map(payment => payment.providerEntryNamehash),
+        payments.map(payment => payment.fromAddress),
+        new Date(Math.min(...times) - windowMs),
+        new Date(Math.max(...times))
+    ]);
+    
+    for (const row of result.rows) {
+        const key = `${row.provider_entry_namehash}:${row.from_address}`;
+        if (!recent.has(key)) recent.set(key, []);
+        recent.get(key).push(row.timestamp.getTime());
+    }
+    return recent;
+}
+
+// Store the payments that pass the filters and keep the rest in
+// flagged_transactions. Returns the number of new transactions stored.
+async function storePayments(client, payments, emitEvents = false) {
+    const { clean, flagged } = await screenNewPayments(client, payments);
+    if (flagged.size > 0) {
+        await insertFlaggedPayments(client, payments.filter(payment => flagged.has(paymentKey(payment))), flagged);
+    }
+    return insertTransactionBatch(client, clean, emitEvents);
+}
+
+async function insertFlaggedPayments(client, payments, reasons) {
+    const columnCount = 17;
+    const values = payments.map((tx, index) => {
+        const offset = index * columnCount;
+        const placeholders = Array.from({ length: columnCount }, (_, i) => `$${offset + i + 1}`);
+        return `(${placeholders.join(', ')})`;
     }).join(', ');
     
-    const params = transactions.flatMap(tx => [
+    const params = payments.flatMap(tx => [
+        tx.chainId,
         tx.hash,
         tx.blockNumber,
         tx.timestamp,
@@ -265,277 +870,1529 @@ async function insertTransactionBatch(client, transactions) {
         tx.toAddress,
         tx.toProviderId,
         tx.providerEntryName,
+        tx.providerEntryNamehash,
+        tx.namespace,
+        tx.tokenAddress,
+        tx.tokenSymbol,
         tx.valueUsdc,
-        tx.gasUsed
+        tx.valueRaw,
+        tx.gasUsed,
+        reasons.get(paymentKey(tx))
     ]);
     
-    await client.query(`
-        INSERT INTO hypermap_transactions (
-            tx_hash, block_number, timestamp, from_address,
+    const result = await client.query(`
+        INSERT INTO flagged_transactions (
+            chain_id, tx_hash, block_number, timestamp, from_address,
             from_hypermap_name, to_address, to_provider_id,
-            provider_entry_name, value_usdc, gas_used
+            provider_entry_name, provider_entry_namehash, namespace,
+            token_address, token_symbol, value_usdc, value_raw, gas_used, reasons
         ) VALUES ${values}
-        ON CONFLICT (tx_hash) DO NOTHING
+        ON CONFLICT (chain_id, tx_hash) DO NOTHING
+        RETURNING tx_hash, from_hypermap_name, provider_entry_name, value_usdc, token_symbol, reasons
     `, params);
+    
+    for (const row of result.rows) {
+        for (const reason of row.reasons) {
+            metrics.paymentsFlagged.inc({ reason });
+        }
+        log.info('Payment flagged', {
+            tx_hash: row.tx_hash,
+            sender: row.from_hypermap_name,
+            provider: row.provider_entry_name,
+            amount: `${row.value_usdc} ${row.token_symbol}`,
+            reasons: row.reasons
+        });
+    }
 }
 
-async function runPaymentTracker() {
-    const indexerPool = ConnectionManager.getIndexerPool();
-    const paymentsPool = ConnectionManager.getPaymentsPool();
-    
-    // Use transactions for data consistency
-    const indexerClient = await indexerPool.connect();
-    const paymentsClient = await paymentsPool.connect();
+// Work through queued ranges in bounded chunks, committing after each chunk so
+// a large backfill keeps its progress if the run is interrupted
+async function processRetryQueue(client, chain, tbaMap) {
+    const pending = await client.query(`
+        SELECT * FROM provider_retry_queue
+        WHERE chain_id = $1
+        ORDER BY from_block, id
+        LIMIT $2
+    `, [chain.chainId, RETRY_QUEUE_BATCH_SIZE]);
     
-    try {
-        // Start transaction on payments database
-        await paymentsClient.query('BEGIN');
-        
-        console.log('\n=== Payment Tracker Started ===');
-        console.log(`Time: ${new Date().toISOString()}`);
-        console.log(`Memory usage: ${(process.memoryUsage().heapUsed / 1024 / 1024).toFixed(2)}MB`);
-        
-        // Get current state within transaction
-        const stateResult = await paymentsClient.query('SELECT last_processed_block FROM global_state WHERE id = 1');
-        const lastProcessedBlock = parseInt(stateResult.rows[0]?.last_processed_block || 0);
-        console.log(`Raw from DB: ${stateResult.rows[0]?.last_processed_block}, Parsed: ${lastProcessedBlock}`);
-        
-        // Get current blockchain height
-        const currentHeight = await getCurrentBlockHeight();
-        const safeHeight = currentHeight - BLOCK_SAFETY_BUFFER;
+    let resolved = 0;
+    let inserted = 0;
+    for (const entry of pending.rows) {
+        const provider = {
+            namehash: entry.provider_entry_namehash,
+            full_name: entry.provider_entry_name,
+            provider_id: entry.provider_id,
+            wallet_address: entry.wallet_address
+        };
+        const toBlock = parseInt(entry.to_block);
+        let fromBlock = parseInt(entry.from_block);
         
-        console.log(`Last processed block: ${lastProcessedBlock}`);
-        console.log(`Current height: ${currentHeight}, safe height: ${safeHeight}`);
+        log.info('Retrying queued range', { provider: provider.full_name, from_block: fromBlock, to_block: toBlock, attempt: entry.attempts + 1 });
         
-        if (lastProcessedBlock >= safeHeight) {
-            console.log('Already up to date');
-            await paymentsClient.query('COMMIT');
-            return;
-        }
-        
-        // Find grid.hypr namespace
-        const gridHyprHash = await findGridHyprNamehash(indexerClient);
-        console.log(`Found grid.hypr: ${gridHyprHash}`);
-        
-        // Get all providers from grid.hypr in indexer
-        const providers = await indexerClient.query(`
-            SELECT 
-                e.namehash,
-                e.full_name,
-                wallet_note.interpreted_data as wallet_address,
-                provider_note.interpreted_data as provider_id
-            FROM entries e
-            LEFT JOIN notes wallet_note ON 
-                wallet_note.entry_hash = e.namehash 
-                AND wallet_note.label = '~wallet'
-            LEFT JOIN notes provider_note ON 
-                provider_note.entry_hash = e.namehash 
-                AND provider_note.label = '~provider-id'
-            WHERE e.parent_hash = $1
-            AND wallet_note.interpreted_data IS NOT NULL
-            AND provider_note.interpreted_data IS NOT NULL
-        `, [gridHyprHash]);
-        
-        // Get all grid-wallet TBAs for validation
-        const tbaResult = await indexerClient.query(`
-            SELECT LOWER(tba) as tba, full_name 
-            FROM entries 
-            WHERE tba IS NOT NULL
-            AND full_name LIKE 'grid-wallet.%'
-        `);
-        const tbaMap = new Map(tbaResult.rows.map(r => [r.tba, r.full_name]));
-        
-        console.log(`Processing ${providers.rows.length} providers, ${tbaMap.size} TBAs loaded`);
-        
-        // Ensure all providers are in the leaderboard
-        for (const provider of providers.rows) {
-            await paymentsClient.query(`
-                INSERT INTO provider_leaderboard (
-                    provider_entry_namehash, provider_entry_name, provider_id,
-                    wallet_address, total_usdc_received, transaction_count,
-                    unique_sender_count
-                ) VALUES ($1, $2, $3, $4, 0, 0, 0)
-                ON CONFLICT (provider_entry_namehash) DO NOTHING
-            `, [provider.namehash, provider.full_name, provider.provider_id, provider.wallet_address.toLowerCase()]);
-        }
-        
-        // Process each provider with batching
-        const fromBlock = lastProcessedBlock + 1;
-        const toBlock = safeHeight;
-        console.log(`Block range calculation: lastProcessedBlock=${lastProcessedBlock}, fromBlock=${fromBlock}, toBlock=${toBlock}`);
-        let totalTransactions = 0;
-        transactionBatch = []; // Reset batch
-        
-        for (const provider of providers.rows) {
-            // Memory check
-            if (!checkMemoryUsage()) {
-                console.warn('Memory threshold exceeded, processing current batch...');
-                await insertTransactionBatch(paymentsClient, transactionBatch);
-                transactionBatch = [];
-            }
-            
-            console.log(`\nFetching transactions for ${provider.full_name}...`);
+        while (fromBlock <= toBlock) {
+            const chunkTo = Math.min(fromBlock + BLOCK_CHUNK_SIZE - 1, toBlock);
+            const chunkStarted = Date.now();
             
             try {
-                const transactions = await fetchUsdcTransactions(provider.wallet_address, fromBlock, toBlock);
-                const incomingTxs = transactions.filter(tx => 
-                    tx.to.toLowerCase() === provider.wallet_address.toLowerCase()
-                );
+                await client.query('BEGIN');
+                const transactions = await chain.dataSource.fetchTransfers([provider.wallet_address], fromBlock, chunkTo);
+                const { incomingCount, payments } = buildPaymentRecords(chain, provider, transactions, tbaMap);
+                let chunkInserted = await addToBatch(client, payments);
+                chunkInserted += await flushBatch(client);
                 
-                let validTxs = 0;
-                for (const tx of incomingTxs) {
-                    const senderName = tbaMap.get(tx.from.toLowerCase());
-                    if (senderName) {
-                        // Add to batch instead of individual insert
-                        transactionBatch.push({
-                            hash: tx.hash,
-                            blockNumber: parseInt(tx.blockNumber),
-                            timestamp: new Date(parseInt(tx.timeStamp) * 1000),
-                            fromAddress: tx.from.toLowerCase(),
-                            fromHypermapName: senderName,
-                            toAddress: tx.to.toLowerCase(),
-                            toProviderId: provider.provider_id,
-                            providerEntryName: provider.full_name,
-                            valueUsdc: parseFloat(tx.value) / 1e6,
-                            gasUsed: parseInt(tx.gasUsed)
-                        });
-                        validTxs++;
-                        
-                        // Flush batch if it gets too large
-                        if (transactionBatch.length >= BATCH_SIZE) {
-                            await insertTransactionBatch(paymentsClient, transactionBatch);
-                            totalTransactions += transactionBatch.length;
-                            transactionBatch = [];
-                        }
-                    }
+                if (chunkTo === toBlock) {
+                    await client.query('DELETE FROM provider_retry_queue WHERE id = $1', [entry.id]);
+                    resolved++;
+                } else {
+                    await client.query(`
+                        UPDATE provider_retry_queue
+                        SET from_block = $2, updated_at = NOW()
+                        WHERE id = $1
+                    `, [entry.id, chunkTo + 1]);
                 }
+                await client.query('COMMIT');
                 
-                console.log(`  Found ${incomingTxs.length} incoming, ${validTxs} from TBAs`);
-                
+                inserted += chunkInserted;
+                log.info('Queued range fetched', {
+                    provider: provider.full_name,
+                    from_block: fromBlock,
+                    to_block: chunkTo,
+                    incoming: incomingCount,
+                    payments: payments.length,
+                    duration_ms: Date.now() - chunkStarted
+                });
             } catch (error) {
-                console.error(`  Error processing ${provider.full_name}:`, error.message);
-                // Continue with other providers instead of failing completely
+                await client.query('ROLLBACK');
+                transactionBatch = [];
+                
+                log.error('Queued range retry failed', { provider: provider.full_name, from_block: fromBlock, to_block: chunkTo, error: error.message });
+                await client.query(`
+                    UPDATE provider_retry_queue
+                    SET attempts = attempts + 1, last_error = $2, updated_at = NOW()
+                    WHERE id = $1
+                `, [entry.id, redact(error.message)]);
+                break;
             }
             
+            fromBlock = chunkTo + 1;
+            
             // Rate limiting delay
             await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_DELAY_MS));
         }
+    }
+    
+    return { resolved, inserted };
+}
+
+// Fetch one block range for every provider, queueing any provider that fails.
+// Providers are fetched in groups as large as the data source accepts.
+async function processBlockRange(client, chain, providers, tbaMap, fromBlock, toBlock, emitEvents = false) {
+    let inserted = 0;
+    let failedProviders = 0;
+    const paymentBlocks = new Set();
+    
+    const { dataSource } = chain;
+    for (let i = 0; i < providers.length; i += dataSource.addressesPerCall) {
+        const group = providers.slice(i, i + dataSource.addressesPerCall);
         
-        // Insert remaining transactions in batch
-        if (transactionBatch.length > 0) {
-            await insertTransactionBatch(paymentsClient, transactionBatch);
-            totalTransactions += transactionBatch.length;
-        }
-        
-        // Update global state
-        await paymentsClient.query(`
-            UPDATE global_state 
-            SET last_processed_block = $1, updated_at = NOW() 
-            WHERE id = 1
-        `, [parseInt(toBlock)]);
-        
-        // Update leaderboard
-        console.log('\nUpdating provider leaderboard...');
-        const updateResult = await paymentsClient.query(`
-            UPDATE provider_leaderboard pl
-            SET 
-                total_usdc_received = stats.total_usdc,
-                transaction_count = stats.tx_count,
-                unique_sender_count = stats.unique_senders,
-                first_transaction_at = stats.first_tx,
-                last_transaction_at = stats.last_tx,
-                updated_at = NOW()
-            FROM (
-                SELECT 
-                    to_address,
-                    COUNT(*) as tx_count,
-                    SUM(value_usdc) as total_usdc,
-                    COUNT(DISTINCT from_address) as unique_senders,
-                    MIN(timestamp) as first_tx,
-                    MAX(timestamp) as last_tx
-                FROM hypermap_transactions
-                GROUP BY to_address
-            ) stats
-            WHERE LOWER(pl.wallet_address) = LOWER(stats.to_address)
-            RETURNING pl.provider_entry_name, pl.total_usdc_received, pl.transaction_count
-        `);
-        
-        console.log(`Updated ${updateResult.rowCount} providers`);
-        for (const row of updateResult.rows) {
-            const usdcAmount = parseFloat(row.total_usdc_received) || 0;
-            console.log(`  ${row.provider_entry_name}: ${row.transaction_count} txs, $${usdcAmount.toFixed(2)} USDC`);
+        // Memory check
+        if (!checkMemoryUsage()) {
+            log.warn('Memory threshold exceeded, flushing the current batch');
+            inserted += await flushBatch(client, emitEvents);
         }
         
-        // Commit transaction
-        await paymentsClient.query('COMMIT');
-        
-        console.log(`\nProcessed blocks ${fromBlock} to ${toBlock}`);
-        console.log(`Added ${totalTransactions} new transactions`);
-        console.log(`Final memory usage: ${(process.memoryUsage().heapUsed / 1024 / 1024).toFixed(2)}MB`);
-        console.log('=== Payment Tracker Completed ===\n');
-        
-    } catch (error) {
-        // Rollback transaction on error
+        const fetchStarted = Date.now();
         try {
-            await paymentsClient.query('ROLLBACK');
-        } catch (rollbackError) {
-            console.error('Rollback failed:', rollbackError);
+            const transactions = await dataSource.fetchTransfers(group.map(p => p.wallet_address), fromBlock, toBlock);
+            
+            for (const provider of group) {
+                const { incomingCount, payments } = buildPaymentRecords(chain, provider, transactions, tbaMap);
+                inserted += await addToBatch(client, payments, emitEvents);
+                for (const payment of payments) paymentBlocks.add(payment.blockNumber);
+                
+                log.debug('Provider range fetched', {
+                    provider: provider.full_name,
+                    from_block: fromBlock,
+                    to_block: toBlock,
+                    incoming: incomingCount,
+                    payments: payments.length,
+                    duration_ms: Date.now() - fetchStarted
+                });
+            }
+            
+        } catch (error) {
+            // Queue the range so the cursor can still advance without losing these blocks
+            for (const provider of group) {
+                const queueFrom = Math.max(fromBlock, provider.validFromBlock ?? fromBlock);
+                const queueTo = Math.min(toBlock, provider.validToBlock ?? toBlock);
+                log.error('Provider fetch failed, range queued for retry', {
+                    provider: provider.full_name,
+                    from_block: queueFrom,
+                    to_block: queueTo,
+                    error: error.message
+                });
+                await queueProviderRange(client, chain.chainId, provider, queueFrom, queueTo, error.message);
+                failedProviders++;
+            }
         }
         
-        console.error('Payment tracker error:', error);
-        throw error;
-    } finally {
-        // Release connections back to pool
-        indexerClient.release();
-        paymentsClient.release();
+        // Rate limiting delay
+        await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_DELAY_MS));
     }
+    
+    // Insert remaining transactions in batch
+    inserted += await flushBatch(client, emitEvents);
+    return { inserted, failedProviders, paymentBlocks };
 }
 
-// Graceful shutdown handling
-process.on('SIGINT', async () => {
-    console.log('\nShutting down gracefully...');
-    await ConnectionManager.closeAll();
-    process.exit(0);
-});
+async function getRetryBacklog(client, chainId) {
+    const result = await client.query(`
+        SELECT COUNT(*) as pending_ranges, MIN(from_block) as oldest_pending_block
+        FROM provider_retry_queue
+        WHERE chain_id = $1
+    `, [chainId]);
+    const row = result.rows[0];
+    return {
+        pendingRanges: parseInt(row.pending_ranges),
+        oldestPendingBlock: row.oldest_pending_block === null ? null : parseInt(row.oldest_pending_block)
+    };
+}
 
-process.on('SIGTERM', async () => {
-    console.log('\nShutting down gracefully...');
-    await ConnectionManager.closeAll();
-    process.exit(0);
-});
+// The highest block below which every provider is known to be fully covered
+function getTrustedBlock(lastProcessedBlock, backlog) {
+    if (backlog.oldestPendingBlock === null) {
+        return lastProcessedBlock;
+    }
+    return Math.min(lastProcessedBlock, backlog.oldestPendingBlock - 1);
+}
 
-// Unhandled error handling
-process.on('uncaughtException', async (error) => {
-    console.error('Uncaught exception:', error);
-    await ConnectionManager.closeAll();
-    process.exit(1);
-});
+// Reorg protection: remember the hashes of a chunk's last block and of the
+// blocks it found payments in, so a reorg rolls back to the newest of them
+// still on the chain rather than to the previous chunk boundary. Only the
+// newest REORG_CHECK_DEPTH are kept, so no more are fetched.
+async function recordBlockHashes(client, chain, blockNumbers) {
+    const newest = [...new Set(blockNumbers)].sort((a, b) => a - b).slice(-REORG_CHECK_DEPTH);
+    for (const blockNumber of newest) {
+        const blockHash = await chain.dataSource.getBlockHash(blockNumber);
+        await client.query(`
+            INSERT INTO processed_block_hashes (chain_id, block_number, block_hash)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (chain_id, block_number) DO UPDATE SET
+                block_hash = EXCLUDED.block_hash,
+                created_at = NOW()
+        `, [chain.chainId, blockNumber, blockHash]);
+    }
+    
+    await client.query(`
+        DELETE FROM processed_block_hashes
+        WHERE chain_id = $1
+        AND block_number NOT IN (
+            SELECT block_number FROM processed_block_hashes
+            WHERE chain_id = $1
+            ORDER BY block_number DESC
+            LIMIT $2
+        )
+    `, [chain.chainId, REORG_CHECK_DEPTH]);
+}
 
-process.on('unhandledRejection', async (reason, promise) => {
-    console.error('Unhandled rejection at:', promise, 'reason:', reason);
-    await ConnectionManager.closeAll();
-    process.exit(1);
-});
+// Compare stored hashes with the chain, newest first. A block hash commits to
+// all of its ancestors, so the first match is the newest block still canonical.
+// Returns null when nothing changed, otherwise the block to roll back to.
+async function detectReorg(client, chain) {
+    const stored = await client.query(`
+        SELECT block_number, block_hash FROM processed_block_hashes
+        WHERE chain_id = $1
+        ORDER BY block_number DESC
+    `, [chain.chainId]);
+    
+    for (const [index, row] of stored.rows.entries()) {
+        const blockNumber = parseInt(row.block_number);
+        const chainHash = await chain.dataSource.getBlockHash(blockNumber);
+        
+        if (chainHash === row.block_hash) {
+            return index === 0 ? null : blockNumber;
+        }
+        log.warn('Reorg detected', { block_number: blockNumber, stored_hash: row.block_hash, chain_hash: chainHash });
+    }
+    
+    if (stored.rows.length === 0) {
+        return null;
+    }
+    
+    // Every stored hash changed: the reorg is deeper than we can see
+    const oldestBlock = parseInt(stored.rows[stored.rows.length - 1].block_number);
+    const rollbackBlock = Math.max(oldestBlock - 1, 0);
+    log.warn('Reorg deeper than the stored checkpoints', { checkpoints: stored.rows.length, rollback_block: rollbackBlock });
+    return rollbackBlock;
+}
 
-// Run modes
-if (process.argv.includes('--daemon')) {
-    console.log('Starting payment tracker daemon...');
-    console.log(`Will run every ${POLL_INTERVAL_MS / 1000 / 60} minutes`);
-    console.log(`Batch size: ${BATCH_SIZE}, Rate limit: ${RATE_LIMIT_DELAY_MS}ms`);
-    
-    runPaymentTracker().catch(console.error);
-    setInterval(() => {
-        runPaymentTracker().catch(console.error);
-    }, POLL_INTERVAL_MS);
-} else {
-    runPaymentTracker()
-        .then(() => {
-            ConnectionManager.closeAll();
-            process.exit(0);
-        })
-        .catch(async (error) => {
-            console.error(error);
-            await ConnectionManager.closeAll();
-            process.exit(1);
-        });
-}
\ No newline at end of file
+// Drop everything indexed on a chain above `blockNumber` so the next range re-indexes it
+async function rollbackToBlock(client, chainId, blockNumber) {
+    const deleted = await client.query(`
+        DELETE FROM hypermap_transactions
+        WHERE chain_id = $1 AND block_number > $2
+        RETURNING
+            chain_id, tx_hash, block_number, timestamp, from_address,
+            from_hypermap_name, to_address, provider_entry_name,
+            provider_entry_namehash, namespace, token_address, token_symbol,
+            value_usdc, value_raw
+    `, [chainId, blockNumber]);
+    await client.query('DELETE FROM processed_block_hashes WHERE chain_id = $1 AND block_number > $2', [chainId, blockNumber]);
+    // Re-indexing flags them again if they are still on chain; unflag decisions are kept
+    await client.query(`
+        DELETE FROM flagged_transactions
+        WHERE chain_id = $1 AND block_number > $2 AND status = 'flagged'
+    `, [chainId, blockNumber]);
+    
+    const affectedProviders = [...new Set(deleted.rows.map(row => row.provider_entry_namehash))];
+    if (affectedProviders.length > 0) {
+        await rebuildLeaderboard(client, affectedProviders);
+        await recordPaymentEvents(client, 'payment.reverted', deleted.rows, trackerConfig.webhooks);
+    }
+    
+    // Queued ranges above the new cursor are covered again by the main range
+    await client.query('DELETE FROM provider_retry_queue WHERE chain_id = $1 AND from_block > $2', [chainId, blockNumber]);
+    await client.query(`
+        UPDATE provider_retry_queue
+        SET to_block = $2, updated_at = NOW()
+        WHERE chain_id = $1 AND to_block > $2
+    `, [chainId, blockNumber]);
+    
+    await client.query(`
+        UPDATE chain_state 
+        SET last_processed_block = $2, updated_at = NOW() 
+        WHERE chain_id = $1
+    `, [chainId, blockNumber]);
+    
+    log.warn('Rolled back chain', { chain_id: chainId, to_block: blockNumber, removed_transactions: deleted.rowCount });
+}
+
+// Providers from the tracked namespaces and the sender TBAs allowed to pay them
+export async function loadProviders(indexerClient) {
+    // Resolve the tracked namespaces
+    const namespaceHashes = [];
+    for (const namespace of trackerConfig.namespaces) {
+        const namehash = await findNamespaceNamehash(indexerClient, namespace);
+        if (namehash) {
+            log.debug('Found namespace', { namespace, namehash });
+            namespaceHashes.push(namehash);
+        } else {
+            log.warn('Namespace not found, skipping', { namespace });
+        }
+    }
+    
+    if (namespaceHashes.length === 0) {
+        throw new Error(`None of the tracked namespaces were found: ${trackerConfig.namespaces.join(', ')}`);
+    }
+    
+    // Indexers that record the block each note was set in let a wallet change
+    // take effect from that block rather than from the next indexed one
+    const noteBlocks = await hasColumn(indexerClient, 'notes', 'block_number');
+    
+    // Get all providers from the tracked namespaces in indexer
+    const providers = await indexerClient.query(`
+        SELECT 
+            e.namehash,
+            e.full_name,
+            wallet_note.interpreted_data as wallet_address,
+            ${noteBlocks ? 'wallet_note.block_number' : 'NULL'} as wallet_block,
+            provider_note.interpreted_data as provider_id
+        FROM entries e
+        LEFT JOIN notes wallet_note ON 
+            wallet_note.entry_hash = e.namehash 
+            AND wallet_note.label = '~wallet'
+        LEFT JOIN notes provider_note ON 
+            provider_note.entry_hash = e.namehash 
+            AND provider_note.label = '~provider-id'
+        WHERE e.parent_hash = ANY($1)
+        AND wallet_note.interpreted_data IS NOT NULL
+        AND provider_note.interpreted_data IS NOT NULL
+    `, [namespaceHashes]);
+    
+    // Get all sender TBAs matching the configured patterns for validation
+    const tbaResult = await indexerClient.query(`
+        SELECT LOWER(tba) as tba, full_name 
+        FROM entries 
+        WHERE tba IS NOT NULL
+        AND full_name LIKE ANY($1)
+    `, [trackerConfig.senderPatterns.map(patternToLike)]);
+    const tbaMap = new Map(tbaResult.rows.map(r => [r.tba, r.full_name]));
+    
+    if (trackerConfig.filters.sameOwner) {
+        tbaOwners = await loadTbaOwners(indexerClient);
+    }
+    
+    return { providers: providers.rows, tbaMap };
+}
+
+// Owner of every TBA, for the same-owner filter: the entry's owner where the
+// indexer records one, otherwise its parent's TBA, which sub-entries are
+// minted from
+async function loadTbaOwners(indexerClient) {
+    const owners = await hasColumn(indexerClient, 'entries', 'owner');
+    const result = await indexerClient.query(`
+        SELECT LOWER(e.tba) as tba, LOWER(${owners ? 'COALESCE(e.owner, parent.tba)' : 'parent.tba'}) as owner
+        FROM entries e
+        LEFT JOIN entries parent ON parent.namehash = e.parent_hash
+        WHERE e.tba IS NOT NULL
+    `);
+    return new Map(result.rows.filter(row => row.owner !== null).map(row => [row.tba, row.owner]));
+}
+
+// Index one chain: reorg check, wallet sync, retry queue, then the new block
+// range in checkpointed chunks. Returns the number of new transactions.
+async function runChain(paymentsClient, chain, providers, tbaMap) {
+    const chainStarted = Date.now();
+    await paymentsClient.query('BEGIN');
+    
+    // A chain indexed for the first time starts just before its startBlock
+    await paymentsClient.query(`
+        INSERT INTO chain_state (chain_id, last_processed_block)
+        VALUES ($1, $2)
+        ON CONFLICT (chain_id) DO NOTHING
+    `, [chain.chainId, Math.max(chain.startBlock - 1, 0)]);
+    const stateResult = await paymentsClient.query('SELECT last_processed_block FROM chain_state WHERE chain_id = $1', [chain.chainId]);
+    let lastProcessedBlock = parseInt(stateResult.rows[0].last_processed_block);
+    
+    // Roll back anything indexed on blocks that are no longer canonical
+    const rollbackBlock = await detectReorg(paymentsClient, chain);
+    if (rollbackBlock !== null && rollbackBlock < lastProcessedBlock) {
+        await rollbackToBlock(paymentsClient, chain.chainId, rollbackBlock);
+        lastProcessedBlock = rollbackBlock;
+    }
+    
+    // Wallet changes and new providers are picked up even when there are no new blocks
+    for (const provider of providers) {
+        const firstSeen = await syncProviderWallet(paymentsClient, chain.chainId, provider, lastProcessedBlock);
+        
+        // A provider registered after the cursor moved has never been fetched for earlier blocks
+        if (firstSeen && lastProcessedBlock > 0 && lastProcessedBlock >= chain.startBlock) {
+            log.info('New provider, queueing earlier blocks', { provider: provider.full_name, from_block: chain.startBlock, to_block: lastProcessedBlock });
+            await queueProviderRange(paymentsClient, chain.chainId, provider, chain.startBlock, lastProcessedBlock, 'new provider');
+        }
+    }
+    
+    // Get current blockchain height
+    const currentHeight = await chain.dataSource.getBlockHeight();
+    const safeHeight = currentHeight - BLOCK_SAFETY_BUFFER;
+    const backlog = await getRetryBacklog(paymentsClient, chain.chainId);
+    
+    // Payment events announce new payments as they reach the chain head. A chain
+    // that starts further behind than EVENTS_MAX_BLOCK_LAG (a first run, a long
+    // outage) catches up without replaying its history to subscribers.
+    const live = currentHeight - lastProcessedBlock <= EVENTS_MAX_BLOCK_LAG;
+    
+    recordChainProgress(chain, currentHeight, lastProcessedBlock);
+    metrics.retryBacklog.set({ chain_id: chain.chainId }, backlog.pendingRanges);
+    
+    log.info('Chain state', {
+        last_processed_block: lastProcessedBlock,
+        head_block: currentHeight,
+        safe_height: safeHeight,
+        retry_backlog: backlog.pendingRanges,
+        catching_up: !live
+    });
+    
+    if (lastProcessedBlock >= safeHeight && backlog.pendingRanges === 0) {
+        log.info('Chain already up to date');
+        await paymentsClient.query('COMMIT');
+        return 0;
+    }
+    
+    await paymentsClient.query('COMMIT');
+    transactionBatch = []; // Reset batch
+    
+    // Re-fetch ranges that earlier runs could not cover
+    const retryResult = await processRetryQueue(paymentsClient, chain, tbaMap);
+    let totalTransactions = retryResult.inserted;
+    if (retryResult.resolved > 0) {
+        log.info('Resolved queued ranges', { resolved: retryResult.resolved });
+    }
+    
+    // Work through the range in bounded chunks, checkpointing the cursor after each
+    const fromBlock = lastProcessedBlock + 1;
+    const toBlock = safeHeight;
+    let failedProviders = 0;
+    log.info('Indexing block range', { from_block: fromBlock, to_block: toBlock });
+    
+    for (let chunkFrom = fromBlock; chunkFrom <= toBlock; chunkFrom += BLOCK_CHUNK_SIZE) {
+        if (shutdownRequested) {
+            log.info('Shutdown requested, stopping at the last checkpoint', { block: chunkFrom - 1 });
+            break;
+        }
+        const chunkTo = Math.min(chunkFrom + BLOCK_CHUNK_SIZE - 1, toBlock);
+        const chunkStarted = Date.now();
+        
+        await paymentsClient.query('BEGIN');
+        const assignments = await getWalletAssignments(paymentsClient, chain.chainId, providers, chunkFrom, chunkTo);
+        const chunkResult = await processBlockRange(paymentsClient, chain, assignments, tbaMap, chunkFrom, chunkTo, live);
+        
+        // Update the chain's cursor
+        await paymentsClient.query(`
+            UPDATE chain_state 
+            SET last_processed_block = $2, updated_at = NOW() 
+            WHERE chain_id = $1
+        `, [chain.chainId, chunkTo]);
+        await recordBlockHashes(paymentsClient, chain, [...chunkResult.paymentBlocks, chunkTo]);
+        await paymentsClient.query('COMMIT');
+        recordChainProgress(chain, currentHeight, chunkTo);
+        
+        totalTransactions += chunkResult.inserted;
+        failedProviders += chunkResult.failedProviders;
+        log.info('Checkpoint', {
+            from_block: chunkFrom,
+            to_block: chunkTo,
+            transactions: chunkResult.inserted,
+            failed_providers: chunkResult.failedProviders,
+            duration_ms: Date.now() - chunkStarted
+        });
+    }
+    
+    const remainingBacklog = await getRetryBacklog(paymentsClient, chain.chainId);
+    metrics.retryBacklog.set({ chain_id: chain.chainId }, remainingBacklog.pendingRanges);
+    
+    log.info('Chain indexed', {
+        transactions: totalTransactions,
+        failed_providers: failedProviders,
+        retry_backlog: remainingBacklog.pendingRanges,
+        trusted_block: getTrustedBlock(Math.max(toBlock, lastProcessedBlock), remainingBacklog),
+        duration_ms: Date.now() - chainStarted
+    });
+    
+    return totalTransactions;
+}
+
+// Chain head and cursor after each checkpoint, for metrics and /readyz
+function recordChainProgress(chain, headBlock, cursorBlock) {
+    const labels = { chain_id: chain.chainId };
+    metrics.chainHead.set(labels, headBlock);
+    metrics.cursorBlock.set(labels, cursorBlock);
+    metrics.blockLag.set(labels, headBlock - cursorBlock);
+    runState.chains.set(chain.chainId, { name: chain.name, headBlock, cursorBlock });
+}
+
+// Run bookkeeping: metrics, /readyz state and a tracker_runs row. Recording
+// problems are logged and never fail the run.
+async function recordRun(runId, startedAt, status, inserted, failedChainIds, error) {
+    metrics.runs.inc({ result: status });
+    metrics.runDuration.observe({}, (Date.now() - startedAt.getTime()) / 1000);
+    metrics.lastRunTimestamp.set({ result: status }, Math.floor(Date.now() / 1000));
+    runState.lastRunAt = new Date();
+    runState.lastRunError = error;
+    
+    try {
+        await ConnectionManager.getPaymentsPool().query(`
+            INSERT INTO tracker_runs (run_id, started_at, status, transactions_inserted, failed_chains, error)
+            VALUES ($1, $2, $3, $4, $5, $6)
+        `, [runId, startedAt, status, inserted, failedChainIds, error && redact(error)]);
+    } catch (recordError) {
+        log.error('Could not record tracker run', { error: recordError.message });
+    }
+}
+
+// /readyz: the last run finished without errors and every chain's cursor is
+// within READY_MAX_BLOCK_LAG blocks of its head. Standby replicas only serve
+// the API, so only the leader is held to the run checks.
+export function getReadiness() {
+    const reasons = [];
+    const leader = !scheduler || scheduler.isLeader;
+    if (shutdownRequested) {
+        reasons.push('Shutting down');
+    }
+    if (leader && !runState.lastRunAt) {
+        reasons.push('No tracker run has finished yet');
+    } else if (leader && runState.lastRunError) {
+        reasons.push(`Last run failed: ${runState.lastRunError}`);
+    }
+    
+    const chainStates = [];
+    for (const [chainId, state] of runState.chains) {
+        const blockLag = state.headBlock - state.cursorBlock;
+        if (leader && blockLag > READY_MAX_BLOCK_LAG) {
+            reasons.push(`${state.name} cursor is ${blockLag} blocks behind the chain head`);
+        }
+        chainStates.push({ chain_id: chainId, name: state.name, head_block: state.headBlock, cursor_block: state.cursorBlock, block_lag: blockLag });
+    }
+    
+    return { ready: reasons.length === 0, reasons, leader, last_run_at: runState.lastRunAt, chains: chainStates };
+}
+
+// Every line logged during a run carries its run_id, also stored in tracker_runs
+export async function runPaymentTracker() {
+    const runId = randomUUID();
+    return withLogContext({ run_id: runId }, () => trackPayments(runId));
+}
+
+async function trackPayments(runId) {
+    const indexerPool = ConnectionManager.getIndexerPool();
+    const paymentsPool = ConnectionManager.getPaymentsPool();
+    const startedAt = new Date();
+    let totalTransactions = 0;
+    const failedChains = [];
+    
+    // Use transactions for data consistency
+    const indexerClient = await indexerPool.connect();
+    const paymentsClient = await paymentsPool.connect();
+    
+    try {
+        log.info('Tracker run started', { heap_used_mb: toMegabytes(process.memoryUsage().heapUsed) });
+        
+        const { providers, tbaMap } = await loadProviders(indexerClient);
+        log.info('Providers loaded', { providers: providers.length, tbas: tbaMap.size, chains: chains.length });
+        
+        // Ensure all providers are in the leaderboard with their current details
+        await paymentsClient.query('BEGIN');
+        for (const provider of providers) {
+            await paymentsClient.query(`
+                INSERT INTO provider_leaderboard (
+                    provider_entry_namehash, provider_entry_name, provider_id,
+                    wallet_address, total_usdc_received, transaction_count,
+                    unique_sender_count
+                ) VALUES ($1, $2, $3, $4, 0, 0, 0)
+                ON CONFLICT (provider_entry_namehash) DO UPDATE SET
+                    provider_entry_name = EXCLUDED.provider_entry_name,
+                    provider_id = EXCLUDED.provider_id,
+                    wallet_address = EXCLUDED.wallet_address,
+                    updated_at = NOW()
+            `, [provider.namehash, provider.full_name, provider.provider_id, provider.wallet_address.toLowerCase()]);
+        }
+        await paymentsClient.query('COMMIT');
+        
+        // Chains are indexed one after another; a chain whose API is down is
+        // logged and picked up again next run without holding up the others
+        for (const chain of chains) {
+            if (shutdownRequested) break;
+            try {
+                totalTransactions += await withLogContext(
+                    { chain: chain.name, chain_id: chain.chainId },
+                    () => runChain(paymentsClient, chain, providers, tbaMap)
+                );
+            } catch (error) {
+                await paymentsClient.query('ROLLBACK').catch(() => {});
+                transactionBatch = [];
+                log.error('Chain failed', { chain: chain.name, chain_id: chain.chainId, error: error.message });
+                metrics.chainFailures.inc({ chain_id: chain.chainId });
+                failedChains.push(chain);
+            }
+        }
+        
+        // Leaderboard totals were updated incrementally as transactions were inserted
+        const leaderboard = await paymentsClient.query(`
+            SELECT provider_entry_name, total_usdc_received, transaction_count
+            FROM provider_leaderboard
+            WHERE transaction_count > 0
+            ORDER BY total_usdc_received DESC
+        `);
+        
+        log.debug('Provider leaderboard', { providers: leaderboard.rows });
+        
+        const topSenders = await paymentsClient.query(`
+            SELECT from_hypermap_name, total_usdc_spent, transaction_count, provider_count
+            FROM sender_leaderboard
+            ORDER BY total_usdc_spent DESC
+            LIMIT 10
+        `);
+        
+        log.debug('Top senders', { senders: topSenders.rows });
+        
+        await sendWebhooks();
+        
+        const failedNames = failedChains.map(chain => chain.name).join(', ');
+        log.info('Tracker run completed', {
+            transactions: totalTransactions,
+            failed_chains: failedChains.map(chain => chain.name),
+            duration_ms: Date.now() - startedAt.getTime(),
+            heap_used_mb: toMegabytes(process.memoryUsage().heapUsed)
+        });
+        
+        if (failedChains.length === chains.length) {
+            throw new Error(`All chains failed: ${failedNames}`);
+        }
+        
+        await recordRun(
+            runId,
+            startedAt,
+            failedChains.length > 0 ? 'partial' : 'success',
+            totalTransactions,
+            failedChains.map(chain => chain.chainId),
+            failedChains.length > 0 ? `Failed chains: ${failedNames}` : null
+        );
+        
+    } catch (error) {
+        // Rollback transaction on error
+        try {
+            await paymentsClient.query('ROLLBACK');
+        } catch (rollbackError) {
+            log.error('Rollback failed', { error: rollbackError });
+        }
+        
+        log.error('Tracker run failed', { error, duration_ms: Date.now() - startedAt.getTime() });
+        await recordRun(runId, startedAt, 'failure', totalTransactions, failedChains.map(chain => chain.chainId), error.message);
+        throw error;
+    } finally {
+        // Release connections back to pool
+        indexerClient.release();
+        paymentsClient.release();
+    }
+}
+
+// Deliver queued webhook events. Delivery problems are recorded in
+// webhook_deliveries and never fail the tracker run.
+async function sendWebhooks() {
+    if (trackerConfig.webhooks.length === 0) return;
+    
+    try {
+        const summary = await deliverPendingWebhooks(ConnectionManager.getPaymentsPool(), trackerConfig.webhooks);
+        for (const [result, count] of Object.entries(summary)) {
+            metrics.webhookDeliveries.inc({ result }, count);
+        }
+        if (summary.delivered + summary.retrying + summary.failed > 0) {
+            log.info('Webhooks sent', summary);
+        }
+    } catch (error) {
+        log.error('Webhook delivery error', { error: error.message });
+    }
+}
+
+// --rebuild-leaderboard: recompute all aggregates from scratch and report drift
+export async function runLeaderboardRebuild() {
+    const client = await ConnectionManager.getPaymentsPool().connect();
+    
+    try {
+        await client.query('BEGIN');
+        log.info('Rebuilding provider leaderboard from stored transactions');
+        const drift = await rebuildLeaderboard(client);
+        await client.query('COMMIT');
+        
+        if (drift.length === 0) {
+            log.info('No drift: incremental totals match a full recount');
+            return;
+        }
+        
+        for (const row of drift) {
+            log.warn('Leaderboard drift corrected', {
+                provider: row.provider_entry_name,
+                stored_total_usdc: row.stored_total_usdc,
+                actual_total_usdc: row.actual_total_usdc,
+                stored_transaction_count: row.stored_transaction_count,
+                actual_transaction_count: row.actual_transaction_count,
+                stored_unique_senders: row.stored_unique_senders,
+                actual_unique_senders: row.actual_unique_senders
+            });
+        }
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Operational commands (see cli.js for their arguments)
+
+// The chain given with --chain, or every configured chain
+function selectChains(chainId) {
+    if (chainId === undefined) return chains;
+    
+    const chain = chains.find(c => c.chainId === chainId);
+    if (!chain) {
+        throw new Error(`Chain ${chainId} is not configured (configured: ${chains.map(c => c.chainId).join(', ')})`);
+    }
+    return [chain];
+}
+
+async function getChainCursor(client, chainId) {
+    const result = await client.query('SELECT last_processed_block FROM chain_state WHERE chain_id = $1', [chainId]);
+    return result.rows.length === 0 ? null : parseInt(result.rows[0].last_processed_block);
+}
+
+async function loadProvidersFromIndexer() {
+    const indexerClient = await ConnectionManager.getIndexerPool().connect();
+    try {
+        return await loadProviders(indexerClient);
+    } finally {
+        indexerClient.release();
+    }
+}
+
+function findProviderByKey(providers, key) {
+    const provider = providers.find(p => p.full_name === key || p.namehash === key.toLowerCase());
+    if (!provider) {
+        throw new Error(`Provider ${key} not found in the tracked namespaces`);
+    }
+    return provider;
+}
+
+// Backfill and reindex only cover blocks the cursor has already passed;
+// later blocks belong to normal runs
+function getIndexedRange(chain, cursor, options) {
+    if (cursor === null) {
+        throw new Error(`${chain.name} has not been indexed yet; run the tracker first`);
+    }
+    const fromBlock = options.from ?? chain.startBlock;
+    const toBlock = options.to ?? cursor;
+    if (toBlock > cursor) {
+        throw new Error(`${chain.name}: block ${toBlock} is above the cursor (${cursor}); normal runs index it`);
+    }
+    return { fromBlock, toBlock };
+}
+
+// Fetch a block range in committed chunks without moving the cursor.
+// Providers that fail are queued for retry, as in a normal run.
+async function indexRange(client, chain, providers, tbaMap, fromBlock, toBlock) {
+    let inserted = 0;
+    let failedProviders = 0;
+    
+    for (let chunkFrom = fromBlock; chunkFrom <= toBlock; chunkFrom += BLOCK_CHUNK_SIZE) {
+        const chunkTo = Math.min(chunkFrom + BLOCK_CHUNK_SIZE - 1, toBlock);
+        const chunkStarted = Date.now();
+        
+        try {
+            await client.query('BEGIN');
+            const assignments = await getWalletAssignments(client, chain.chainId, providers, chunkFrom, chunkTo);
+            const chunkResult = await processBlockRange(client, chain, assignments, tbaMap, chunkFrom, chunkTo);
+            await client.query('COMMIT');
+            
+            inserted += chunkResult.inserted;
+            failedProviders += chunkResult.failedProviders;
+            log.info('Range chunk indexed', {
+                from_block: chunkFrom,
+                to_block: chunkTo,
+                transactions: chunkResult.inserted,
+                failed_providers: chunkResult.failedProviders,
+                duration_ms: Date.now() - chunkStarted
+            });
+        } catch (error) {
+            await client.query('ROLLBACK');
+            transactionBatch = [];
+            throw error;
+        }
+    }
+    return { inserted, failedProviders };
+}
+
+// backfill: re-fetch a range for every provider; stored payments are skipped
+export async function runBackfill(options) {
+    const { providers, tbaMap } = await loadProvidersFromIndexer();
+    const client = await ConnectionManager.getPaymentsPool().connect();
+    
+    try {
+        // Check every range before fetching anything
+        const ranges = [];
+        for (const chain of selectChains(options.chain)) {
+            ranges.push({ chain, ...getIndexedRange(chain, await getChainCursor(client, chain.chainId), options) });
+        }
+        
+        for (const { chain, fromBlock, toBlock } of ranges) {
+            await withLogContext({ chain: chain.name, chain_id: chain.chainId }, async () => {
+                log.info('Backfilling', { from_block: fromBlock, to_block: toBlock });
+                const result = await indexRange(client, chain, providers, tbaMap, fromBlock, toBlock);
+                log.info('Backfill finished', { transactions: result.inserted, failed_providers: result.failedProviders });
+            });
+        }
+    } finally {
+        client.release();
+    }
+    await sendWebhooks();
+}
+
+// reindex: re-fetch one provider over its indexed blocks, then recount its
+// totals from the stored transactions
+export async function runReindex(options) {
+    const { providers, tbaMap } = await loadProvidersFromIndexer();
+    const provider = findProviderByKey(providers, options.provider);
+    const client = await ConnectionManager.getPaymentsPool().connect();
+    
+    try {
+        const ranges = [];
+        for (const chain of selectChains(options.chain)) {
+            ranges.push({ chain, ...getIndexedRange(chain, await getChainCursor(client, chain.chainId), options) });
+        }
+        
+        for (const { chain, fromBlock, toBlock } of ranges) {
+            await withLogContext({ chain: chain.name, chain_id: chain.chainId }, async () => {
+                log.info('Re-indexing provider', { provider: provider.full_name, from_block: fromBlock, to_block: toBlock });
+                const result = await indexRange(client, chain, [provider], tbaMap, fromBlock, toBlock);
+                log.info('Re-index finished', { provider: provider.full_name, transactions: result.inserted, failed_providers: result.failedProviders });
+            });
+        }
+        
+        await client.query('BEGIN');
+        const drift = await rebuildLeaderboard(client, [provider.namehash]);
+        await client.query('COMMIT');
+        if (drift.length === 0) {
+            log.info('Provider totals already matched the stored transactions', { provider: provider.full_name });
+        } else {
+            log.warn('Provider totals corrected', {
+                provider: provider.full_name,
+                transaction_count: drift[0].actual_transaction_count,
+                total_usdc: drift[0].actual_total_usdc
+            });
+        }
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+    await sendWebhooks();
+}
+
+// Payments the data source holds for these providers in one block range.
+// Unlike processBlockRange, a failed fetch is thrown rather than queued.
+async function fetchRangePayments(client, chain, providers, tbaMap, fromBlock, toBlock) {
+    const assignments = await getWalletAssignments(client, chain.chainId, providers, fromBlock, toBlock);
+    const payments = [];
+    
+    for (let i = 0; i < assignments.length; i += chain.dataSource.addressesPerCall) {
+        const group = assignments.slice(i, i + chain.dataSource.addressesPerCall);
+        const transactions = await chain.dataSource.fetchTransfers(group.map(p => p.wallet_address), fromBlock, toBlock);
+        for (const provider of group) {
+            payments.push(...buildPaymentRecords(chain, provider, transactions, tbaMap).payments);
+        }
+        await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_DELAY_MS));
+    }
+    return payments;
+}
+
+// dry-run: fetch a range and print the payments it holds, writing nothing
+export async function runDryRun(options) {
+    const { providers, tbaMap } = await loadProvidersFromIndexer();
+    const selected = options.provider ? [findProviderByKey(providers, options.provider)] : providers;
+    const client = await ConnectionManager.getPaymentsPool().connect();
+    
+    try {
+        for (const chain of selectChains(options.chain)) {
+            console.log(`\n--- ${chain.name}: blocks ${options.from} to ${options.to} (dry run) ---`);
+            let newCount = 0;
+            let flaggedCount = 0;
+            let storedCount = 0;
+            
+            for (let chunkFrom = options.from; chunkFrom <= options.to; chunkFrom += BLOCK_CHUNK_SIZE) {
+                const chunkTo = Math.min(chunkFrom + BLOCK_CHUNK_SIZE - 1, options.to);
+                const payments = await fetchRangePayments(client, chain, selected, tbaMap, chunkFrom, chunkTo);
+                
+                const stored = await client.query(
+                    'SELECT tx_hash FROM hypermap_transactions WHERE chain_id = $1 AND tx_hash = ANY($2)',
+                    [chain.chainId, payments.map(payment => payment.hash)]
+                );
+                const storedHashes = new Set(stored.rows.map(row => row.tx_hash));
+                const { flagged, held } = await screenNewPayments(client, payments);
+                
+                for (const payment of payments.sort((a, b) => a.blockNumber - b.blockNumber)) {
+                    let note = '';
+                    if (storedHashes.has(payment.hash)) {
+                        storedCount++;
+                        note = ' (already stored)';
+                    } else if (held.has(paymentKey(payment))) {
+                        flaggedCount++;
+                        note = ' (flagged)';
+                    } else if (flagged.has(paymentKey(payment))) {
+                        flaggedCount++;
+                        note = ` (would be flagged: ${flagged.get(paymentKey(payment)).join(', ')})`;
+                    } else {
+                        newCount++;
+                    }
+                    console.log(`  ${payment.blockNumber} ${payment.hash} ${payment.fromHypermapName} -> ` +
+                        `${payment.providerEntryName}: ${payment.valueUsdc} ${payment.tokenSymbol}${note}`);
+                }
+            }
+            
+            console.log(`${chain.name}: ${newCount} new payments would be added, ${flaggedCount} flagged, ${storedCount} already stored`);
+        }
+    } finally {
+        client.release();
+    }
+}
+
+// Compare one block window with the stored payments and record the findings.
+// With repair, missing payments are inserted, extra ones deleted and wrong
+// amounts corrected in the same transaction, then the totals are recounted.
+async function reconcileWindow(client, chain, providers, tbaMap, window, reconciliationId, repair) {
+    const fetched = await fetchRangePayments(client, chain, providers, tbaMap, window.fromBlock, window.toBlock);
+    
+    // Flagged payments are accounted for in flagged_transactions
+    const flaggedRows = await client.query(`
+        SELECT tx_hash FROM flagged_transactions
+        WHERE chain_id = $1 AND status = 'flagged' AND tx_hash = ANY($2)
+    `, [chain.chainId, fetched.map(p => p.hash)]);
+    const flaggedHashes = new Set(flaggedRows.rows.map(row => row.tx_hash));
+    const payments = fetched.filter(p => !flaggedHashes.has(p.hash));
+    
+    // Rows for these providers, plus any expected hash stored under another provider
+    const stored = await client.query(`
+        SELECT tx_hash, block_number, provider_entry_namehash, provider_entry_name, token_address, value_raw
+        FROM hypermap_transactions
+        WHERE chain_id = $1
+        AND block_number BETWEEN $2 AND $3
+        AND (provider_entry_namehash = ANY($4) OR tx_hash = ANY($5))
+    `, [chain.chainId, window.fromBlock, window.toBlock, providers.map(p => p.namehash), payments.map(p => p.hash)]);
+    const { missing, extra, mismatched } = diffPayments(payments, stored.rows);
+    
+    const findings = [
+        ...missing.map(payment => ({
+            kind: 'missing',
+            txHash: payment.hash,
+            blockNumber: payment.blockNumber,
+            namehash: payment.providerEntryNamehash,
+            providerName: payment.providerEntryName,
+            storedValueRaw: null,
+            chainValueRaw: payment.valueRaw
+        })),
+        ...extra.map(row => ({
+            kind: 'extra',
+            txHash: row.tx_hash,
+            blockNumber: row.block_number,
+            namehash: row.provider_entry_namehash,
+            providerName: row.provider_entry_name,
+            storedValueRaw: row.value_raw,
+            chainValueRaw: null
+        })),
+        ...mismatched.map(({ payment, row }) => ({
+            kind: 'amount_mismatch',
+            txHash: row.tx_hash,
+            blockNumber: row.block_number,
+            namehash: row.provider_entry_namehash,
+            providerName: row.provider_entry_name,
+            storedValueRaw: row.value_raw,
+            chainValueRaw: payment.valueRaw
+        }))
+    ];
+    
+    let repaired = 0;
+    try {
+        await client.query('BEGIN');
+        if (repair && findings.length > 0) {
+            repaired += await storePayments(client, missing);
+            
+            const deleted = await client.query(`
+                DELETE FROM hypermap_transactions
+                WHERE chain_id = $1 AND tx_hash = ANY($2)
+                RETURNING
+                    chain_id, tx_hash, block_number, timestamp, from_address,
+                    from_hypermap_name, to_address, provider_entry_name,
+                    provider_entry_namehash, namespace, token_address, token_symbol,
+                    value_usdc, value_raw
+            `, [chain.chainId, extra.map(row => row.tx_hash)]);
+            repaired += deleted.rowCount;
+            
+            for (const { payment } of mismatched) {
+                const updated = await client.query(`
+                    UPDATE hypermap_transactions
+                    SET value_raw = $3, value_usdc = $4, token_address = $5, token_symbol = $6
+                    WHERE chain_id = $1 AND tx_hash = $2
+                `, [chain.chainId, payment.hash, payment.valueRaw, payment.valueUsdc, payment.tokenAddress, payment.tokenSymbol]);
+                repaired += updated.rowCount;
+            }
+            
+            const affectedProviders = [...new Set([...extra, ...mismatched.map(({ row }) => row)].map(row => row.provider_entry_namehash))];
+            if (affectedProviders.length > 0) {
+                await rebuildLeaderboard(client, affectedProviders);
+            }
+            if (deleted.rows.length > 0) {
+                await recordPaymentEvents(client, 'payment.reverted', deleted.rows, trackerConfig.webhooks);
+            }
+        }
+        
+        await client.query(`
+            INSERT INTO reconciliation_findings (
+                reconciliation_id, chain_id, tx_hash, block_number, provider_entry_namehash,
+                provider_entry_name, kind, stored_value_raw, chain_value_raw, repaired
+            )
+            SELECT $1, $2, f.*, $10
+            FROM unnest($3::text[], $4::bigint[], $5::text[], $6::text[], $7::text[], $8::numeric[], $9::numeric[])
+                AS f(tx_hash, block_number, provider_entry_namehash, provider_entry_name, kind, stored_value_raw, chain_value_raw)
+        `, [
+            reconciliationId,
+            chain.chainId,
+            findings.map(f => f.txHash),
+            findings.map(f => f.blockNumber),
+            findings.map(f => f.namehash),
+            findings.map(f => f.providerName),
+            findings.map(f => f.kind),
+            findings.map(f => f.storedValueRaw),
+            findings.map(f => f.chainValueRaw),
+            Boolean(repair)
+        ]);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        transactionBatch = [];
+        throw error;
+    }
+    
+    return {
+        findings,
+        chainPayments: new Set(payments.map(p => p.hash)).size,
+        storedPayments: stored.rows.length,
+        missing: missing.length,
+        extra: extra.length,
+        mismatched: mismatched.length,
+        repaired
+    };
+}
+
+// reconcile: re-fetch the indexed range, or --sample random chunks of it, and
+// audit the stored payments against it. Every chain checked gets a row in
+// reconciliations with its findings in reconciliation_findings.
+export async function runReconcile(options) {
+    const { providers, tbaMap } = await loadProvidersFromIndexer();
+    const selected = options.provider ? [findProviderByKey(providers, options.provider)] : providers;
+    const client = await ConnectionManager.getPaymentsPool().connect();
+    const runId = randomUUID();
+    
+    try {
+        const ranges = [];
+        for (const chain of selectChains(options.chain)) {
+            ranges.push({ chain, ...getIndexedRange(chain, await getChainCursor(client, chain.chainId), options) });
+        }
+        
+        for (const { chain, fromBlock, toBlock } of ranges) {
+            const windows = selectWindows(fromBlock, toBlock, BLOCK_CHUNK_SIZE, options.sample ?? null);
+            const audit = await client.query(`
+                INSERT INTO reconciliations (run_id, chain_id, provider_entry_namehash, from_block, to_block, sampled, repair)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                RETURNING id
+            `, [runId, chain.chainId, options.provider ? selected[0].namehash : null, fromBlock, toBlock, options.sample !== undefined, Boolean(options.repair)]);
+            const reconciliationId = audit.rows[0].id;
+            
+            const totals = { chainPayments: 0, storedPayments: 0, missing: 0, extra: 0, mismatched: 0, repaired: 0 };
+            const findings = [];
+            let windowsChecked = 0;
+            const saveTotals = (status, error) => client.query(`
+                UPDATE reconciliations
+                SET
+                    status = $2,
+                    windows_checked = $3,
+                    chain_payments = $4,
+                    stored_payments = $5,
+                    missing_count = $6,
+                    extra_count = $7,
+                    mismatched_count = $8,
+                    repaired_count = $9,
+                    error = $10,
+                    finished_at = NOW()
+                WHERE id = $1
+            `, [
+                reconciliationId, status, windowsChecked, totals.chainPayments, totals.storedPayments,
+                totals.missing, totals.extra, totals.mismatched, totals.repaired, error
+            ]);
+            
+            const logFields = { run_id: runId, chain: chain.name, chain_id: chain.chainId, reconciliation_id: reconciliationId };
+            await withLogContext(logFields, async () => {
+                try {
+                    for (const window of windows) {
+                        const result = await reconcileWindow(client, chain, selected, tbaMap, window, reconciliationId, options.repair);
+                        for (const key of Object.keys(totals)) {
+                            totals[key] += result[key];
+                        }
+                        findings.push(...result.findings);
+                        windowsChecked++;
+                    }
+                } catch (error) {
+                    await saveTotals('failed', redact(error.message));
+                    throw error;
+                }
+                await saveTotals('completed', null);
+                
+                const discrepancies = totals.missing + totals.extra + totals.mismatched;
+                log[discrepancies > 0 ? 'warn' : 'info']('Reconciliation completed', {
+                    windows: windowsChecked,
+                    chain_payments: totals.chainPayments,
+                    stored_payments: totals.storedPayments,
+                    missing: totals.missing,
+                    extra: totals.extra,
+                    mismatched: totals.mismatched,
+                    repaired: totals.repaired
+                });
+            });
+            
+            console.log(`\n${chain.name}: reconciled ${windowsChecked} chunk(s) of blocks ${fromBlock}-${toBlock} (reconciliation #${reconciliationId})`);
+            console.log(`  ${totals.chainPayments} payments on chain, ${totals.storedPayments} stored`);
+            console.log(`  ${totals.missing} missing, ${totals.extra} extra, ${totals.mismatched} amount mismatches` +
+                (options.repair ? `, ${totals.repaired} rows repaired` : ''));
+            for (const finding of findings) {
+                console.log(`    ${finding.kind} ${finding.blockNumber} ${finding.txHash} ${finding.providerName}: ` +
+                    `stored ${finding.storedValueRaw ?? '-'}, chain ${finding.chainValueRaw ?? '-'}`);
+            }
+        }
+    } finally {
+        client.release();
+    }
+    if (options.repair) {
+        await sendWebhooks();
+    }
+}
+
+// status: last run, then cursor, chain head and retry backlog per chain
+export async function runStatus(options) {
+    const client = await ConnectionManager.getPaymentsPool().connect();
+    
+    try {
+        const lastRun = await client.query(`
+            SELECT run_id, status, finished_at, transactions_inserted, error
+            FROM tracker_runs
+            ORDER BY finished_at DESC
+            LIMIT 1
+        `);
+        const runCounts = await client.query('SELECT status, COUNT(*) as count FROM tracker_runs GROUP BY status ORDER BY status');
+        if (lastRun.rows.length === 0) {
+            console.log('Last run: never');
+        } else {
+            const run = lastRun.rows[0];
+            console.log(`Last run: ${run.status} at ${run.finished_at.toISOString()}, ${run.transactions_inserted} transactions${run.error ? ` (${run.error})` : ''} [run ${run.run_id ?? 'unknown'}]`);
+            console.log(`Runs: ${runCounts.rows.map(row => `${row.count} ${row.status}`).join(', ')}`);
+        }
+        
+        for (const chain of selectChains(options.chain)) {
+            console.log(`\n${chain.name} (${chain.chainId}, ${chain.source})`);
+            
+            const cursor = await getChainCursor(client, chain.chainId);
+            if (cursor === null) {
+                console.log('  Not indexed yet');
+                continue;
+            }
+            console.log(`  Cursor: block ${cursor}`);
+            
+            try {
+                const safeHeight = await chain.dataSource.getBlockHeight() - BLOCK_SAFETY_BUFFER;
+                console.log(`  Safe height: ${safeHeight} (${Math.max(safeHeight - cursor, 0)} blocks behind)`);
+            } catch (error) {
+                console.warn(`  Safe height: unavailable (${redact(error.message)})`);
+            }
+            
+            const backlog = await getRetryBacklog(client, chain.chainId);
+            console.log(`  Retry backlog: ${backlog.pendingRanges} ranges, trusted through block ${getTrustedBlock(cursor, backlog)}`);
+            const pending = await client.query(`
+                SELECT provider_entry_name, from_block, to_block, attempts, last_error
+                FROM provider_retry_queue
+                WHERE chain_id = $1
+                ORDER BY from_block, id
+                LIMIT 10
+            `, [chain.chainId]);
+            for (const row of pending.rows) {
+                console.log(`    ${row.provider_entry_name}: blocks ${row.from_block}-${row.to_block}, ${row.attempts} attempts (${row.last_error})`);
+            }
+            
+            const totals = await client.query(`
+                SELECT COUNT(*) as transaction_count, MAX(timestamp) as last_transaction_at
+                FROM hypermap_transactions
+                WHERE chain_id = $1
+            `, [chain.chainId]);
+            console.log(`  Transactions: ${totals.rows[0].transaction_count}, latest ${totals.rows[0].last_transaction_at?.toISOString() ?? 'never'}`);
+            
+            const flagged = await client.query(`
+                SELECT reason, COUNT(*) as count
+                FROM flagged_transactions, unnest(reasons) as reason
+                WHERE chain_id = $1 AND status = 'flagged'
+                GROUP BY reason
+                ORDER BY reason
+            `, [chain.chainId]);
+            const flaggedTotal = await client.query(
+                "SELECT COUNT(*) as count FROM flagged_transactions WHERE chain_id = $1 AND status = 'flagged'",
+                [chain.chainId]
+            );
+            console.log(`  Flagged payments: ${flaggedTotal.rows[0].count}` +
+                (flagged.rows.length > 0 ? ` (${flagged.rows.map(row => `${row.reason} ${row.count}`).join(', ')})` : ''));
+            
+            const reconciliation = await client.query(`
+                SELECT id, status, started_at, from_block, to_block, missing_count, extra_count, mismatched_count
+                FROM reconciliations
+                WHERE chain_id = $1
+                ORDER BY started_at DESC
+                LIMIT 1
+            `, [chain.chainId]);
+            const audit = reconciliation.rows[0];
+            console.log(audit
+                ? `  Last reconciliation: #${audit.id} ${audit.status} at ${audit.started_at.toISOString()} (blocks ${audit.from_block}-${audit.to_block}), ` +
+                    `${audit.missing_count} missing, ${audit.extra_count} extra, ${audit.mismatched_count} mismatched`
+                : '  Last reconciliation: never');
+        }
+        
+        const deliveries = await client.query('SELECT status, COUNT(*) as count FROM webhook_deliveries GROUP BY status ORDER BY status');
+        if (deliveries.rows.length > 0) {
+            console.log(`\nWebhook deliveries: ${deliveries.rows.map(row => `${row.count} ${row.status}`).join(', ')}`);
+        }
+    } finally {
+        client.release();
+    }
+}
+
+// flagged: list payments the filters are keeping out of the leaderboards
+export async function runFlagged(options) {
+    const client = await ConnectionManager.getPaymentsPool().connect();
+    
+    try {
+        for (const chain of selectChains(options.chain)) {
+            const params = [chain.chainId];
+            if (options.provider) params.push(options.provider);
+            const flagged = await client.query(`
+                SELECT tx_hash, block_number, from_hypermap_name, provider_entry_name, value_usdc, token_symbol, reasons, flagged_at
+                FROM flagged_transactions
+                WHERE chain_id = $1 AND status = 'flagged'
+                ${options.provider ? 'AND (provider_entry_name = $2 OR provider_entry_namehash = $2)' : ''}
+                ORDER BY block_number, tx_hash
+            `, params);
+            
+            console.log(`\n--- ${chain.name}: ${flagged.rows.length} flagged payments ---`);
+            for (const row of flagged.rows) {
+                console.log(`  ${row.block_number} ${row.tx_hash} ${row.from_hypermap_name} -> ` +
+                    `${row.provider_entry_name}: ${row.value_usdc} ${row.token_symbol} [${row.reasons.join(', ')}]`);
+            }
+        }
+    } finally {
+        client.release();
+    }
+}
+
+// unflag: an admin accepts a flagged payment. It is stored and counted like
+// any other payment; its flagged row is kept, marked unflagged, so the
+// filters do not catch it again when its blocks are re-fetched.
+export async function runUnflag(options) {
+    const txHash = options.tx.toLowerCase();
+    const client = await ConnectionManager.getPaymentsPool().connect();
+    
+    try {
+        await client.query('BEGIN');
+        const params = [txHash];
+        if (options.chain !== undefined) params.push(options.chain);
+        const unflagged = await client.query(`
+            UPDATE flagged_transactions
+            SET status = 'unflagged', unflagged_at = NOW()
+            WHERE tx_hash = $1 AND status = 'flagged'
+            ${options.chain !== undefined ? 'AND chain_id = $2' : ''}
+            RETURNING *
+        `, params);
+        
+        if (unflagged.rows.length === 0) {
+            throw new Error(`No flagged payment with hash ${txHash}`);
+        }
+        if (unflagged.rows.length > 1) {
+            throw new Error(`${txHash} is flagged on several chains; pass --chain`);
+        }
+        
+        // Announced like a new payment: subscribers never saw it counted
+        const row = unflagged.rows[0];
+        await insertTransactionBatch(client, [{
+            chainId: row.chain_id,
+            hash: row.tx_hash,
+            blockNumber: parseInt(row.block_number),
+            timestamp: row.timestamp,
+            fromAddress: row.from_address,
+            fromHypermapName: row.from_hypermap_name,
+            toAddress: row.to_address,
+            toProviderId: row.to_provider_id,
+            providerEntryName: row.provider_entry_name,
+            providerEntryNamehash: row.provider_entry_namehash,
+            namespace: row.namespace,
+            tokenAddress: row.token_address,
+            tokenSymbol: row.token_symbol,
+            valueUsdc: row.value_usdc,
+            valueRaw: row.value_raw,
+            gasUsed: row.gas_used === null ? null : parseInt(row.gas_used)
+        }], true);
+        await client.query('COMMIT');
+        
+        log.info('Payment unflagged', { tx_hash: row.tx_hash, chain_id: row.chain_id, provider: row.provider_entry_name, reasons: row.reasons });
+        console.log(`Unflagged ${row.tx_hash}: ${row.value_usdc} ${row.token_symbol} from ${row.from_hypermap_name} ` +
+            `now counts toward ${row.provider_entry_name} (was flagged: ${row.reasons.join(', ')})`);
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+    await sendWebhooks();
+}
+
+// reset: roll one chain back to a block after the operator confirms, either
+// by typing the chain name or with --yes
+export async function runReset(options) {
+    const [chain] = selectChains(options.chain);
+    const toBlock = options['to-block'] ?? Math.max(chain.startBlock - 1, 0);
+    const client = await ConnectionManager.getPaymentsPool().connect();
+    
+    try {
+        const cursor = await getChainCursor(client, chain.chainId);
+        if (cursor === null || toBlock >= cursor) {
+            console.log(`${chain.name} cursor is at ${cursor ?? 'nothing'}; nothing above block ${toBlock} to reset`);
+            return;
+        }
+        
+        const affected = await client.query(
+            'SELECT COUNT(*) as count FROM hypermap_transactions WHERE chain_id = $1 AND block_number > $2',
+            [chain.chainId, toBlock]
+        );
+        console.log(`Resetting ${chain.name} (${chain.chainId}) from block ${cursor} to ${toBlock} deletes ` +
+            `${affected.rows[0].count} transactions; the next run re-indexes blocks ${toBlock + 1}-${cursor}.`);
+        
+        if (!options.yes) {
+            if (!process.stdin.isTTY) {
+                throw new Error('Not running in a terminal; pass --yes to confirm the reset');
+            }
+            const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+            const answer = await prompt.question(`Type "${chain.name}" to confirm: `);
+            prompt.close();
+            if (answer.trim() !== chain.name) {
+                console.log('Reset cancelled');
+                return;
+            }
+        }
+        
+        await client.query('BEGIN');
+        await rollbackToBlock(client, chain.chainId, toBlock);
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+    await sendWebhooks();
+}
+
+// Runs fn holding the tracker lock, so a command that writes never overlaps
+// a daemon's cycle or another such command. Fails at once if it is taken.
+export async function withTrackerLock(fn) {
+    const client = await ConnectionManager.getPaymentsPool().connect();
+    try {
+        const result = await client.query('SELECT pg_try_advisory_lock($1) AS acquired', [TRACKER_LOCK_ID]);
+        if (!result.rows[0].acquired) {
+            throw new Error('The tracker lock is held by a running daemon or another command; stop it or wait for it to finish');
+        }
+        try {
+            return await fn();
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [TRACKER_LOCK_ID]);
+        }
+    } finally {
+        client.release();
+    }
+}
+
+// Graceful shutdown: the running cycle stops at its next checkpoint and
+// releases the tracker lock. If it does not finish within SHUTDOWN_TIMEOUT_MS
+// the process exits and Postgres rolls back the open chunk. A second signal
+// exits at once.
+async function shutdown(signal) {
+    if (shutdownRequested) {
+        log.warn('Exiting without draining');
+        process.exit(1);
+    }
+    shutdownRequested = true;
+    log.info('Shutting down gracefully', { signal });
+    setTimeout(() => {
+        log.error('Drain did not finish in time, exiting', { timeout_ms: SHUTDOWN_TIMEOUT_MS });
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+    
+    // A one-off run stops at its next checkpoint and exits normally
+    if (cli?.command === 'run') return;
+    
+    clearInterval(webhookTimer);
+    if (scheduler) {
+        await scheduler.stop();
+    }
+    if (apiServer) {
+        // Event streams stay open until their connections are dropped
+        const closed = new Promise(resolve => apiServer.close(resolve));
+        apiServer.closeAllConnections();
+        await closed;
+    }
+    await ConnectionManager.closeAll();
+    process.exit(0);
+}
+
+// Command line entry point. Importing this module (as the tests do) only
+// sets up the tracker; nothing runs, connects or listens until main().
+export function main(argv) {
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+    
+    // Unhandled error handling
+    process.on('uncaughtException', async (error) => {
+        log.error('Uncaught exception', { error });
+        await ConnectionManager.closeAll();
+        process.exit(1);
+    });
+    
+    process.on('unhandledRejection', async (reason, promise) => {
+        log.error('Unhandled rejection', { error: reason });
+        await ConnectionManager.closeAll();
+        process.exit(1);
+    });
+    
+    // Run modes (pending schema migrations are applied before the first run)
+    try {
+        cli = parseCliArgs(argv);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+    
+    if (cli.command === 'help') {
+        console.log(USAGE);
+        process.exit(0);
+    } else if (cli.command === 'daemon') {
+        log.info('Starting payment tracker daemon', {
+            poll_interval_ms: POLL_INTERVAL_MS,
+            batch_size: BATCH_SIZE,
+            rate_limit_delay_ms: RATE_LIMIT_DELAY_MS
+        });
+        
+        runMigrations(ConnectionManager.getPaymentsPool())
+            .then(() => {
+                apiServer = createApiServer(() => ConnectionManager.getPaymentsPool(), { readiness: getReadiness });
+                apiServer.listen(API_PORT, () => {
+                    log.info('API listening', { port: API_PORT });
+                });
+                
+                scheduler = new Scheduler(ConnectionManager.getPaymentsPool(), {
+                    intervalMs: POLL_INTERVAL_MS,
+                    task: runPaymentTracker
+                });
+                scheduler.start();
+                
+                // Webhook retries come due between tracker runs
+                if (trackerConfig.webhooks.length > 0) {
+                    webhookTimer = setInterval(sendWebhooks, WEBHOOK_POLL_INTERVAL_MS);
+                }
+            })
+            .catch(async (error) => {
+                log.error('Startup failed', { error: error.message });
+                await ConnectionManager.closeAll();
+                process.exit(1);
+            });
+    } else {
+        const commands = {
+            run: runPaymentTracker,
+            'rebuild-leaderboard': runLeaderboardRebuild,
+            status: runStatus,
+            backfill: runBackfill,
+            reindex: runReindex,
+            'dry-run': runDryRun,
+            reconcile: runReconcile,
+            flagged: runFlagged,
+            unflag: runUnflag,
+            reset: runReset
+        };
+        
+        const command = () => commands[cli.command](cli.options);
+        runMigrations(ConnectionManager.getPaymentsPool())
+            .then(() => withLogContext({ command: cli.command }, () => needsTrackerLock(cli) ? withTrackerLock(command) : command()))
+            .then(() => {
+                ConnectionManager.closeAll();
+                process.exit(0);
+            })
+            .catch(async (error) => {
+                log.error('Command failed', { command: cli.command, error });
+                await ConnectionManager.closeAll();
+                process.exit(1);
+            });
+    }
+}
+
+// Started as a script (node payment-tracker.js), not imported
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main(process.argv.slice(2));
+}
@@ -0,0 +1,57 @@
+// Reconciliation helpers: compare payments rebuilt from the data source with
+// the rows stored in hypermap_transactions. Payments are keyed by tx hash,
+// the same key the tracker stores them under, so when a transaction holds
+// several matching transfers only the first counts, as it does when indexing.
+
+// expected: payment records from buildPaymentRecords; stored: rows with
+// tx_hash, token_address and value_raw. Returns what the chain has that the
+// table lacks, what the table has that the chain lacks, and rows whose
+// amount or token differs.
+export function diffPayments(expected, stored) {
+    const expectedByHash = new Map();
+    for (const payment of expected) {
+        if (!expectedByHash.has(payment.hash)) {
+            expectedByHash.set(payment.hash, payment);
+        }
+    }
+    
+    const missing = [];
+    const extra = [];
+    const mismatched = [];
+    const storedHashes = new Set();
+    for (const row of stored) {
+        storedHashes.add(row.tx_hash);
+        const payment = expectedByHash.get(row.tx_hash);
+        if (!payment) {
+            extra.push(row);
+        } else if (String(row.value_raw) !== payment.valueRaw || row.token_address !== payment.tokenAddress) {
+            mismatched.push({ payment, row });
+        }
+    }
+    for (const payment of expectedByHash.values()) {
+        if (!storedHashes.has(payment.hash)) {
+            missing.push(payment);
+        }
+    }
+    
+    return { missing, extra, mismatched };
+}
+
+// Split [fromBlock, toBlock] into windows of windowSize blocks. With a sample
+// size, `count` of them are picked at random; otherwise all are returned.
+export function selectWindows(fromBlock, toBlock, windowSize, count = null, random = Math.random) {
+    const windows = [];
+    for (let windowFrom = fromBlock; windowFrom <= toBlock; windowFrom += windowSize) {
+        windows.push({ fromBlock: windowFrom, toBlock: Math.min(windowFrom + windowSize - 1, toBlock) });
+    }
+    if (count === null || count >= windows.length) {
+        return windows;
+    }
+    
+    // Partial Fisher-Yates shuffle, then back into block order
+    for (let i = 0; i < count; i++) {
+        const j = i + Math.floor(random() * (windows.length - i));
+        [windows[i], windows[j]] = [windows[j], windows[i]];
+    }
+    return windows.slice(0, count).sort((a, b) => a.fromBlock - b.fromBlock);
+}
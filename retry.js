@@ -0,0 +1,57 @@
+import { metrics } from './metrics.js';
+import { logger } from './logger.js';
+
+// Shared rate limiting and retry helpers for outbound API calls
+const MAX_RETRIES = parseInt(process.env.MAX_RETRIES || '3');
+const RETRY_DELAY_MS = parseInt(process.env.RETRY_DELAY_MS || '5000');
+
+const log = logger.child({ component: 'retry' });
+
+export class RateLimiter {
+    constructor(maxCallsPerSecond = 1) {
+        this.maxCallsPerSecond = maxCallsPerSecond;
+        this.lastCallTime = 0;
+    }
+
+    async wait() {
+        const now = Date.now();
+        const timeSinceLastCall = now - this.lastCallTime;
+        const minInterval = 1000 / this.maxCallsPerSecond;
+        
+        if (timeSinceLastCall < minInterval) {
+            const waitTime = minInterval - timeSinceLastCall;
+            await new Promise(resolve => setTimeout(resolve, waitTime));
+        }
+        
+        this.lastCallTime = Date.now();
+    }
+}
+
+function isRateLimitError(error) {
+    return /rate limit|too many requests|\b429\b/i.test(error.message || '');
+}
+
+// Retry wrapper with exponential backoff. Errors flagged with
+// `retryable = false` are thrown straight away. Every attempt is counted
+// in the API call metrics under `source`.
+export async function withRetry(operation, { source = 'unknown', maxRetries = MAX_RETRIES } = {}) {
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        try {
+            metrics.apiCalls.inc({ source });
+            return await operation();
+        } catch (error) {
+            metrics.apiErrors.inc({ source });
+            if (isRateLimitError(error)) {
+                metrics.rateLimitHits.inc({ source });
+            }
+            
+            if (attempt === maxRetries || error.retryable === false) {
+                throw error;
+            }
+            
+            const delay = RETRY_DELAY_MS * Math.pow(2, attempt - 1);
+            log.warn('API call failed, retrying', { source, attempt, delay_ms: delay, error: error.message });
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
@@ -0,0 +1,123 @@
+// Time-bucketed provider stats, maintained from newly inserted transactions:
+//   provider_sender_hourly - per chain/provider/sender/hour, for rolling
+//                            windows and distinct sender counts
+//   provider_daily_stats   - per provider per UTC day, across chains
+//   provider_weekly_stats  - per provider per week (starting Monday), across chains
+
+// `rows` are the inserted transactions: { chain_id, provider_entry_namehash,
+// from_address, value_usdc, timestamp }. Must run in the same transaction as
+// the insert, before the next batch.
+export async function updateRollups(client, rows) {
+    if (rows.length === 0) return;
+    
+    await client.query(`
+        WITH rows AS (
+            SELECT *
+            FROM unnest($1::integer[], $2::varchar[], $3::varchar[], $4::numeric[], $5::timestamp[])
+                AS r(chain_id, provider_entry_namehash, from_address, value_usdc, ts)
+            WHERE provider_entry_namehash IS NOT NULL
+        ),
+        batch AS (
+            SELECT
+                r.*,
+                NOT EXISTS (
+                    SELECT 1 FROM provider_sender_hourly h
+                    WHERE h.provider_entry_namehash = r.provider_entry_namehash
+                    AND h.from_address = r.from_address
+                    AND h.hour >= date_trunc('day', r.ts)
+                    AND h.hour < date_trunc('day', r.ts) + INTERVAL '1 day'
+                ) as new_for_day,
+                NOT EXISTS (
+                    SELECT 1 FROM provider_sender_hourly h
+                    WHERE h.provider_entry_namehash = r.provider_entry_namehash
+                    AND h.from_address = r.from_address
+                    AND h.hour >= date_trunc('week', r.ts)
+                    AND h.hour < date_trunc('week', r.ts) + INTERVAL '7 days'
+                ) as new_for_week
+            FROM rows r
+        ),
+        hourly AS (
+            INSERT INTO provider_sender_hourly AS h (
+                chain_id, provider_entry_namehash, from_address, hour, transaction_count, volume_usdc
+            )
+            SELECT chain_id, provider_entry_namehash, from_address, date_trunc('hour', ts), COUNT(*), SUM(value_usdc)
+            FROM rows
+            GROUP BY chain_id, provider_entry_namehash, from_address, date_trunc('hour', ts)
+            ON CONFLICT (chain_id, provider_entry_namehash, from_address, hour) DO UPDATE SET
+                transaction_count = h.transaction_count + EXCLUDED.transaction_count,
+                volume_usdc = h.volume_usdc + EXCLUDED.volume_usdc
+        ),
+        daily AS (
+            INSERT INTO provider_daily_stats AS d (
+                provider_entry_namehash, day, transaction_count, volume_usdc, unique_sender_count
+            )
+            SELECT
+                provider_entry_namehash,
+                date_trunc('day', ts)::date,
+                COUNT(*),
+                SUM(value_usdc),
+                COUNT(DISTINCT CASE WHEN new_for_day THEN from_address END)
+            FROM batch
+            GROUP BY provider_entry_namehash, date_trunc('day', ts)::date
+            ON CONFLICT (provider_entry_namehash, day) DO UPDATE SET
+                transaction_count = d.transaction_count + EXCLUDED.transaction_count,
+                volume_usdc = d.volume_usdc + EXCLUDED.volume_usdc,
+                unique_sender_count = d.unique_sender_count + EXCLUDED.unique_sender_count
+        )
+        INSERT INTO provider_weekly_stats AS w (
+            provider_entry_namehash, week_start, transaction_count, volume_usdc, unique_sender_count
+        )
+        SELECT
+            provider_entry_namehash,
+            date_trunc('week', ts)::date,
+            COUNT(*),
+            SUM(value_usdc),
+            COUNT(DISTINCT CASE WHEN new_for_week THEN from_address END)
+        FROM batch
+        GROUP BY provider_entry_namehash, date_trunc('week', ts)::date
+        ON CONFLICT (provider_entry_namehash, week_start) DO UPDATE SET
+            transaction_count = w.transaction_count + EXCLUDED.transaction_count,
+            volume_usdc = w.volume_usdc + EXCLUDED.volume_usdc,
+            unique_sender_count = w.unique_sender_count + EXCLUDED.unique_sender_count
+    `, [
+        rows.map(row => row.chain_id),
+        rows.map(row => row.provider_entry_namehash),
+        rows.map(row => row.from_address),
+        rows.map(row => row.value_usdc),
+        rows.map(row => row.timestamp)
+    ]);
+}
+
+// Recompute every rollup from the stored transactions, for the given
+// providers or (by default) all of them
+export async function rebuildRollups(client, namehashes = null) {
+    const filter = namehashes ? 'WHERE provider_entry_namehash = ANY($1)' : '';
+    const sourceFilter = filter || 'WHERE provider_entry_namehash IS NOT NULL';
+    const params = namehashes ? [namehashes] : [];
+    
+    await client.query(`DELETE FROM provider_sender_hourly ${filter}`, params);
+    await client.query(`DELETE FROM provider_daily_stats ${filter}`, params);
+    await client.query(`DELETE FROM provider_weekly_stats ${filter}`, params);
+    
+    await client.query(`
+        INSERT INTO provider_sender_hourly (chain_id, provider_entry_namehash, from_address, hour, transaction_count, volume_usdc)
+        SELECT chain_id, provider_entry_namehash, from_address, date_trunc('hour', timestamp), COUNT(*), SUM(value_usdc)
+        FROM hypermap_transactions
+        ${sourceFilter}
+        GROUP BY chain_id, provider_entry_namehash, from_address, date_trunc('hour', timestamp)
+    `, params);
+    await client.query(`
+        INSERT INTO provider_daily_stats (provider_entry_namehash, day, transaction_count, volume_usdc, unique_sender_count)
+        SELECT provider_entry_namehash, date_trunc('day', timestamp)::date, COUNT(*), SUM(value_usdc), COUNT(DISTINCT from_address)
+        FROM hypermap_transactions
+        ${sourceFilter}
+        GROUP BY provider_entry_namehash, date_trunc('day', timestamp)::date
+    `, params);
+    await client.query(`
+        INSERT INTO provider_weekly_stats (provider_entry_namehash, week_start, transaction_count, volume_usdc, unique_sender_count)
+        SELECT provider_entry_namehash, date_trunc('week', timestamp)::date, COUNT(*), SUM(value_usdc), COUNT(DISTINCT from_address)
+        FROM hypermap_transactions
+        ${sourceFilter}
+        GROUP BY provider_entry_namehash, date_trunc('week', timestamp)::date
+    `, params);
+}
@@ -0,0 +1,110 @@
+import { logger } from './logger.js';
+
+// Daemon scheduling. A cycle starts intervalMs after the previous one ended,
+// so a slow run is never overlapped by the next. Across replicas only the
+// holder of a Postgres session advisory lock runs the task; standbys try to
+// take the lock on every tick and pick up when the leader's session ends.
+export const TRACKER_LOCK_ID = 724016002; // pg_advisory_lock key, held by the indexing replica
+
+const log = logger.child({ component: 'scheduler' });
+
+export class Scheduler {
+    constructor(pool, { intervalMs, task, lockId = TRACKER_LOCK_ID }) {
+        this.pool = pool;
+        this.intervalMs = intervalMs;
+        this.task = task;
+        this.lockId = lockId;
+        this.lockClient = null;
+        this.timer = null;
+        this.current = null;
+        this.stopping = false;
+    }
+    
+    get isLeader() {
+        return this.lockClient !== null;
+    }
+    
+    start() {
+        this.stopping = false;
+        this.tick();
+    }
+    
+    async tick() {
+        this.timer = null;
+        this.current = this.runCycle();
+        await this.current;
+        this.current = null;
+        if (!this.stopping) {
+            this.timer = setTimeout(() => this.tick(), this.intervalMs);
+        }
+    }
+    
+    async runCycle() {
+        try {
+            if (!(await this.acquireLeadership())) {
+                log.debug('Another replica holds the tracker lock, standing by');
+                return;
+            }
+            await this.task();
+        } catch (error) {
+            log.error('Scheduled run failed', { error: error.message });
+        }
+    }
+    
+    // Hold the lock on a dedicated session. A leader checks its session is
+    // still alive before each cycle, since the lock goes with it.
+    async acquireLeadership() {
+        if (this.lockClient) {
+            try {
+                await this.lockClient.query('SELECT 1');
+                return true;
+            } catch (error) {
+                log.error('Lost the tracker lock session', { error: error.message });
+                this.dropLockClient(error);
+            }
+        }
+        
+        const client = await this.pool.connect();
+        let acquired = false;
+        try {
+            const result = await client.query('SELECT pg_try_advisory_lock($1) AS acquired', [this.lockId]);
+            acquired = result.rows[0].acquired;
+        } finally {
+            if (!acquired) client.release();
+        }
+        if (!acquired) return false;
+        
+        // A checked-out client has no pool error handler; losing it only costs leadership
+        client.on('error', error => {
+            log.error('Tracker lock session error', { error: error.message });
+            if (this.lockClient === client) this.dropLockClient(error);
+        });
+        this.lockClient = client;
+        log.info('Acquired the tracker lock, this replica is indexing');
+        return true;
+    }
+    
+    dropLockClient(error) {
+        this.lockClient.release(error);
+        this.lockClient = null;
+    }
+    
+    // Cancel the next tick, wait for the running cycle and hand the lock on
+    async stop() {
+        this.stopping = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.current) await this.current;
+        
+        if (this.lockClient) {
+            const client = this.lockClient;
+            this.lockClient = null;
+            try {
+                await client.query('SELECT pg_advisory_unlock($1)', [this.lockId]);
+                client.release();
+            } catch (error) {
+                client.release(error);
+            }
+        }
+    }
+}
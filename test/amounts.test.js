@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatUnits, parseUnits } from '../amounts.js';
+
+test('formatUnits keeps every digit of large base-unit values', () => {
+    assert.equal(formatUnits('1500000', 6), '1.500000');
+    assert.equal(formatUnits('1', 6), '0.000001');
+    assert.equal(formatUnits(0n, 6), '0.000000');
+    assert.equal(formatUnits('123456789012345678901', 6), '123456789012345.678901');
+    assert.equal(formatUnits('42', 0), '42');
+});
+
+test('parseUnits is the exact inverse of formatUnits', () => {
+    assert.equal(parseUnits('1.5', 6), 1500000n);
+    assert.equal(parseUnits('123456789012345.678901', 6), 123456789012345678901n);
+    assert.equal(parseUnits('7', 6), 7000000n);
+    assert.equal(parseUnits('0.100000000', 6), 100000n);
+});
+
+test('parseUnits rejects malformed or over-precise amounts', () => {
+    assert.throws(() => parseUnits('1.0000001', 6), /more than 6 decimals/);
+    assert.throws(() => parseUnits('abc', 6), /Invalid amount/);
+});
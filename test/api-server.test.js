@@ -0,0 +1,245 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApiServer } from '../api-server.js';
+
+// Stand-in pool: records every query and answers from canned rows
+const queries = [];
+const events = [
+    { id: '6', event_type: 'payment.received', provider_entry_name: 'alpha.grid.hypr', payload: { tx_hash: '0x01' } },
+    { id: '7', event_type: 'leaderboard.updated', provider_entry_name: 'alpha.grid.hypr', payload: { transaction_count: 1 } },
+    { id: '8', event_type: 'payment.received', provider_entry_name: 'beta.grid.hypr', payload: { tx_hash: '0x02' } }
+];
+const listener = { handlers: {}, released: false };
+const pool = {
+    async connect() {
+        listener.released = false;
+        return {
+            async query() { return { rows: [] }; },
+            on(event, handler) { listener.handlers[event] = handler; },
+            removeAllListeners() {},
+            release() { listener.released = true; }
+        };
+    },
+    async query(sql, params = []) {
+        queries.push({ sql, params });
+        if (sql.includes('MAX(id)')) {
+            return { rows: [{ id: events[events.length - 1].id }] };
+        }
+        if (sql.includes('FROM payment_events')) {
+            return { rows: events.filter(event => Number(event.id) > params[0]) };
+        }
+        if (sql.includes('as total')) {
+            return { rows: [{ total: '2' }] };
+        }
+        if (sql.includes('FROM provider_leaderboard') && sql.includes('LIMIT $1 OFFSET $2')) {
+            return {
+                rows: [
+                    { rank: '1', provider_entry_name: 'alpha.grid.hypr', total_usdc_received: '12.500000' },
+                    { rank: '2', provider_entry_name: 'beta.grid.hypr', total_usdc_received: '3.000000' }
+                ]
+            };
+        }
+        if (sql.includes('ranked')) {
+            return { rows: params[0] === 'alpha.grid.hypr' ? [{ rank: '1', provider_entry_name: 'alpha.grid.hypr', wallet_address: '0xaa' }] : [] };
+        }
+        return { rows: [] };
+    }
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = createApiServer(() => pool);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    server.closeAllConnections();
+});
+
+// Read an event stream until `text` shows up
+async function readUntil(reader, text) {
+    let received = '';
+    while (!received.includes(text)) {
+        const { value } = await reader.read();
+        received += new TextDecoder().decode(value);
+    }
+    return received;
+}
+
+test('leaderboard is served with caching headers', async () => {
+    const response = await fetch(`${baseUrl}/leaderboard?limit=2`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('cache-control'), /max-age=\d+/);
+    assert.ok(response.headers.get('etag'));
+    
+    const body = await response.json();
+    assert.equal(body.data.length, 2);
+    assert.deepEqual(body.pagination, { limit: 2, offset: 0, total: 2 });
+});
+
+test('matching If-None-Match returns 304', async () => {
+    const first = await fetch(`${baseUrl}/leaderboard`);
+    const etag = first.headers.get('etag');
+    
+    const second = await fetch(`${baseUrl}/leaderboard`, { headers: { 'If-None-Match': etag } });
+    assert.equal(second.status, 304);
+});
+
+test('provider detail looks up by name and 404s on unknown providers', async () => {
+    const found = await fetch(`${baseUrl}/providers/alpha.grid.hypr`);
+    assert.equal(found.status, 200);
+    assert.equal((await found.json()).data.provider_entry_name, 'alpha.grid.hypr');
+    
+    const missing = await fetch(`${baseUrl}/providers/nobody.grid.hypr`);
+    assert.equal(missing.status, 404);
+});
+
+test('leaderboard windows read from the rollup tables', async () => {
+    queries.length = 0;
+    const rolling = await fetch(`${baseUrl}/leaderboard?window=7d`);
+    assert.equal(rolling.status, 200);
+    assert.equal((await rolling.json()).window, '7d');
+    assert.match(queries[0].sql, /FROM provider_sender_hourly[\s\S]*INTERVAL '7 days'/);
+    
+    queries.length = 0;
+    const weekly = await fetch(`${baseUrl}/leaderboard?window=week`);
+    assert.equal(weekly.status, 200);
+    assert.match(queries[0].sql, /FROM provider_weekly_stats/);
+    
+    const invalid = await fetch(`${baseUrl}/leaderboard?window=1y`);
+    assert.equal(invalid.status, 400);
+});
+
+test('chain filter reads the per-chain tables', async () => {
+    queries.length = 0;
+    const allTime = await fetch(`${baseUrl}/leaderboard?chain=8453`);
+    assert.equal(allTime.status, 200);
+    assert.equal((await allTime.json()).chain_id, 8453);
+    assert.match(queries[0].sql, /FROM provider_chain_leaderboard[\s\S]*WHERE cl\.chain_id = \$1/);
+    assert.deepEqual(queries[0].params, [8453, 50, 0]);
+    
+    queries.length = 0;
+    const weekly = await fetch(`${baseUrl}/leaderboard?window=week&chain=10`);
+    assert.equal(weekly.status, 200);
+    assert.match(queries[0].sql, /FROM provider_sender_hourly[\s\S]*AND h\.chain_id = \$3/);
+    assert.deepEqual(queries[0].params, [50, 0, 10]);
+    
+    queries.length = 0;
+    await fetch(`${baseUrl}/transactions?chain=10&provider=alpha.grid.hypr`);
+    assert.match(queries[0].sql, /chain_id = \$1 AND provider_entry_name = \$2/);
+    
+    assert.equal((await fetch(`${baseUrl}/leaderboard?chain=base`)).status, 400);
+});
+
+test('provider rollups validate the period', async () => {
+    const daily = await fetch(`${baseUrl}/providers/alpha.grid.hypr/rollups?period=daily`);
+    assert.equal(daily.status, 200);
+    assert.equal((await daily.json()).data.period, 'daily');
+    
+    const invalid = await fetch(`${baseUrl}/providers/alpha.grid.hypr/rollups?period=hourly`);
+    assert.equal(invalid.status, 400);
+});
+
+test('transaction filters become parameterised conditions', async () => {
+    queries.length = 0;
+    const response = await fetch(`${baseUrl}/transactions?provider=alpha.grid.hypr&sender=0xABC&since=2024-01-01&min_amount=1.5&limit=10&offset=20`);
+    assert.equal(response.status, 200);
+    
+    const { sql, params } = queries[0];
+    assert.match(sql, /provider_entry_name = \$1 AND from_address = \$2 AND timestamp >= \$3 AND value_usdc >= \$4/);
+    assert.deepEqual(params.slice(0, 2), ['alpha.grid.hypr', '0xabc']);
+    assert.equal(params[3], '1.5');
+    assert.deepEqual(params.slice(4), [10, 20]);
+});
+
+test('flow matrix filters by provider name and sender address', async () => {
+    queries.length = 0;
+    const response = await fetch(`${baseUrl}/flows?provider=alpha.grid.hypr&sender=0xA1`);
+    assert.equal(response.status, 200);
+    
+    const { sql, params } = queries[0];
+    assert.match(sql, /FROM provider_sender_pairs/);
+    assert.match(sql, /pl\.provider_entry_name = \$1 AND p\.from_address = \$2/);
+    assert.deepEqual(params, ['alpha.grid.hypr', '0xa1', 50, 0]);
+});
+
+test('unknown senders 404', async () => {
+    assert.equal((await fetch(`${baseUrl}/senders/grid-wallet.nobody`)).status, 404);
+});
+
+test('event stream replays from Last-Event-ID, filtered by provider', async () => {
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}/events?provider=alpha.grid.hypr`, {
+        headers: { 'Last-Event-ID': '5' },
+        signal: controller.signal
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/event-stream/);
+    
+    const received = await readUntil(response.body.getReader(), 'id: 7');
+    assert.match(received, /id: 6\nevent: payment.received\ndata: {"tx_hash":"0x01"}/);
+    assert.match(received, /event: leaderboard.updated/);
+    assert.doesNotMatch(received, /0x02/);
+    controller.abort();
+});
+
+test('event stream pushes new events on notification', async () => {
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}/events?types=payment.received`, { signal: controller.signal });
+    const reader = response.body.getReader();
+    await readUntil(reader, 'retry:');
+    
+    events.push({ id: '9', event_type: 'payment.received', provider_entry_name: 'beta.grid.hypr', payload: { tx_hash: '0x03' } });
+    listener.handlers.notification({ payload: '9' });
+    const received = await readUntil(reader, 'id: 9');
+    assert.doesNotMatch(received, /id: [678]\b/);
+    
+    controller.abort();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(listener.released, true);
+    
+    assert.equal((await fetch(`${baseUrl}/events?types=payment.sent`)).status, 400);
+});
+
+test('health, readiness and metrics endpoints are not cached', async () => {
+    const health = await fetch(`${baseUrl}/healthz`);
+    assert.equal(health.status, 200);
+    assert.equal(health.headers.get('cache-control'), 'no-store');
+    
+    assert.equal((await fetch(`${baseUrl}/readyz`)).status, 200);
+    
+    const metrics = await fetch(`${baseUrl}/metrics`);
+    assert.match(metrics.headers.get('content-type'), /text\/plain; version=0.0.4/);
+    assert.match(await metrics.text(), /# TYPE payment_tracker_runs_total counter/);
+});
+
+test('readiness fails with the tracker\'s reasons', async () => {
+    const lagging = createApiServer(() => pool, {
+        readiness: async () => ({ ready: false, reasons: ['base cursor is 5000 blocks behind the chain head'] })
+    });
+    await new Promise(resolve => lagging.listen(0, '127.0.0.1', resolve));
+    
+    try {
+        const response = await fetch(`http://127.0.0.1:${lagging.address().port}/readyz`);
+        assert.equal(response.status, 503);
+        assert.deepEqual((await response.json()).reasons, ['base cursor is 5000 blocks behind the chain head']);
+    } finally {
+        lagging.close();
+    }
+});
+
+test('invalid parameters, unknown routes and writes are rejected', async () => {
+    assert.equal((await fetch(`${baseUrl}/transactions?limit=0`)).status, 400);
+    assert.equal((await fetch(`${baseUrl}/transactions?min_amount=abc`)).status, 400);
+    for (const path of ['/providers/%E0%A4%A', '/providers/%E0%A4%A/rollups', '/senders/%E0%A4%A']) {
+        const response = await fetch(`${baseUrl}${path}`);
+        assert.equal(response.status, 400);
+        assert.deepEqual(await response.json(), { error: 'Malformed percent-encoding in path' });
+    }
+    assert.equal((await fetch(`${baseUrl}/nope`)).status, 404);
+    assert.equal((await fetch(`${baseUrl}/leaderboard`, { method: 'POST' })).status, 405);
+});
@@ -0,0 +1,206 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { needsTrackerLock, parseCliArgs } from '../cli.js';
+import { hypermap } from './support/fixture-db.js';
+import { hash, setupTrackerFixture, skip } from './support/tracker-fixture.js';
+
+const { alpha, beta } = hypermap.providers;
+const { alice, bob } = hypermap.senders;
+
+// The commands run against the fixture databases once the tracker has
+// indexed up to block 490
+const transfers = [
+    { block: 100, from: alice.tba, to: alpha.wallet, value: 1000000, hash: hash(1) },
+    { block: 200, from: bob.tba, to: alpha.wallet, value: 2000000, hash: hash(2) },
+    { block: 300, from: alice.tba, to: beta.wallet, value: 3000000, hash: hash(3) },
+    { block: 400, from: bob.tba, to: beta.wallet, value: 4000000, hash: hash(4) }
+];
+
+let fixture;
+let mock;
+let db;
+let tracker;
+
+before(async () => {
+    if (skip) return;
+    
+    fixture = await setupTrackerFixture({ headBlock: 500, transfers, env: { BLOCK_SAFETY_BUFFER: '10' } });
+    ({ mock, db, tracker } = fixture);
+});
+
+after(async () => {
+    if (skip) return;
+    await fixture.close();
+});
+
+test('no arguments runs once and the legacy flags still work', () => {
+    assert.deepEqual(parseCliArgs([]), { command: 'run', options: {} });
+    assert.deepEqual(parseCliArgs(['--daemon']), { command: 'daemon', options: {} });
+    assert.deepEqual(parseCliArgs(['--rebuild-leaderboard']), { command: 'rebuild-leaderboard', options: {} });
+});
+
+test('commands parse their options and positional provider', () => {
+    assert.deepEqual(parseCliArgs(['backfill', '--from', '100', '--to=200', '--chain', '8453']), {
+        command: 'backfill',
+        options: { from: 100, to: 200, chain: 8453 }
+    });
+    assert.deepEqual(parseCliArgs(['reindex', 'alpha.grid.hypr', '--from', '5']), {
+        command: 'reindex',
+        options: { from: 5, provider: 'alpha.grid.hypr' }
+    });
+    assert.deepEqual(parseCliArgs(['reconcile', '--provider', 'alpha.grid.hypr', '--sample', '3', '--repair']), {
+        command: 'reconcile',
+        options: { provider: 'alpha.grid.hypr', sample: 3, repair: true }
+    });
+    const hash = '0x' + 'ab'.repeat(32);
+    assert.deepEqual(parseCliArgs(['unflag', hash, '--chain', '8453']), {
+        command: 'unflag',
+        options: { chain: 8453, tx: hash }
+    });
+    assert.deepEqual(parseCliArgs(['reset', '--chain', '10', '--yes']), {
+        command: 'reset',
+        options: { chain: 10, yes: true }
+    });
+});
+
+test('only commands that write take the tracker lock', () => {
+    const locked = (argv) => needsTrackerLock(parseCliArgs(argv));
+    for (const argv of [[], ['rebuild-leaderboard'], ['backfill', '--from', '1', '--to', '2'], ['reindex', 'alpha.grid.hypr'],
+        ['reconcile', '--repair'], ['unflag', '0x' + 'ab'.repeat(32)], ['reset', '--chain', '8453']]) {
+        assert.equal(locked(argv), true, argv.join(' '));
+    }
+    for (const argv of [['daemon'], ['status'], ['dry-run', '--from', '1', '--to', '2'], ['reconcile'], ['flagged']]) {
+        assert.equal(locked(argv), false, argv.join(' '));
+    }
+});
+
+test('invalid command lines are rejected', () => {
+    assert.throws(() => parseCliArgs(['sync']), /Unknown command "sync"/);
+    assert.throws(() => parseCliArgs(['backfill', '--from', '1']), /backfill needs --to/);
+    assert.throws(() => parseCliArgs(['backfill', '--from', '9', '--to', '1']), /--from must not be after --to/);
+    assert.throws(() => parseCliArgs(['backfill', '--from', 'abc', '--to', '1']), /non-negative integer/);
+    assert.throws(() => parseCliArgs(['status', '--yes']), /status does not accept --yes/);
+    assert.throws(() => parseCliArgs(['reindex']), /exactly one provider/);
+    assert.throws(() => parseCliArgs(['reset']), /reset needs --chain/);
+    assert.throws(() => parseCliArgs(['unflag', '0x1234']), /exactly one transaction hash/);
+    assert.throws(() => parseCliArgs(['reconcile', '--sample', '0']), /--sample must be at least 1/);
+    assert.throws(() => parseCliArgs(['dry-run', '--from', '1', '--to']), /--to needs a value/);
+});
+
+async function storedHashes() {
+    const result = await db.query('SELECT tx_hash FROM hypermap_transactions ORDER BY block_number');
+    return result.rows.map(row => row.tx_hash);
+}
+
+async function leaderboard() {
+    const result = await db.query(`
+        SELECT provider_entry_name, total_usdc_received, transaction_count, unique_sender_count
+        FROM provider_leaderboard
+        ORDER BY provider_entry_name
+    `);
+    return result.rows;
+}
+
+async function cursor() {
+    const result = await db.query('SELECT last_processed_block FROM chain_state WHERE chain_id = 8453');
+    return Number(result.rows[0].last_processed_block);
+}
+
+// Every row of every table, to tell whether a command wrote anything
+async function snapshot() {
+    const tables = await db.query(`
+        SELECT table_name FROM information_schema.tables
+        WHERE table_schema = current_schema() AND table_type = 'BASE TABLE'
+        ORDER BY table_name
+    `);
+    const rows = {};
+    for (const { table_name: table } of tables.rows) {
+        const result = await db.query(`SELECT string_agg(t::text, '|' ORDER BY t::text) AS rows FROM ${table} t`);
+        rows[table] = result.rows[0].rows;
+    }
+    return rows;
+}
+
+test('dry-run prints what a range would add and writes nothing', { skip }, async (t) => {
+    await tracker.runPaymentTracker();
+    assert.equal(await cursor(), 490);
+    
+    // Two payments the indexed range missed, one for each provider
+    mock.transfers.push(
+        { block: 250, from: alice.tba, to: beta.wallet, value: 5000000, hash: hash(5) },
+        { block: 260, from: bob.tba, to: alpha.wallet, value: 6000000, hash: hash(6) }
+    );
+    const output = t.mock.method(console, 'log', () => {});
+    const before = await snapshot();
+    
+    await tracker.runDryRun({ from: 1, to: 490 });
+    
+    assert.deepEqual(await snapshot(), before);
+    const lines = output.mock.calls.map(call => call.arguments[0]);
+    assert.ok(lines.some(line => line.includes(hash(5)) && !line.includes('already stored')));
+    assert.ok(lines.some(line => line.includes(hash(1)) && line.includes('already stored')));
+    assert.equal(lines.at(-1), 'base: 2 new payments would be added, 0 flagged, 4 already stored');
+});
+
+test('reindex re-fetches only the named provider and recounts its totals', { skip }, async () => {
+    await tracker.runReindex({ provider: beta.name });
+    
+    assert.deepEqual(await storedHashes(), [hash(1), hash(2), hash(5), hash(3), hash(4)]);
+    const totals = await leaderboard();
+    assert.deepEqual(totals, [
+        { provider_entry_name: alpha.name, total_usdc_received: '3.000000', transaction_count: 2, unique_sender_count: 2 },
+        { provider_entry_name: beta.name, total_usdc_received: '12.000000', transaction_count: 3, unique_sender_count: 2 }
+    ]);
+    assert.equal(await cursor(), 490);
+    
+    await tracker.runLeaderboardRebuild();
+    assert.deepEqual(await leaderboard(), totals);
+});
+
+test('reset rolls the cursor and totals back, and the next run re-indexes', { skip }, async (t) => {
+    t.mock.method(console, 'log', () => {});
+    await tracker.runReset({ chain: 8453, 'to-block': 220, yes: true });
+    
+    assert.equal(await cursor(), 220);
+    assert.deepEqual(await storedHashes(), [hash(1), hash(2)]);
+    const totals = await leaderboard();
+    assert.deepEqual(totals, [
+        { provider_entry_name: alpha.name, total_usdc_received: '3.000000', transaction_count: 2, unique_sender_count: 2 },
+        { provider_entry_name: beta.name, total_usdc_received: '0.000000', transaction_count: 0, unique_sender_count: 0 }
+    ]);
+    await tracker.runLeaderboardRebuild();
+    assert.deepEqual(await leaderboard(), totals);
+    
+    // Everything above the new cursor comes back, including what reindex skipped
+    await tracker.runPaymentTracker();
+    assert.equal(await cursor(), 490);
+    assert.deepEqual(await storedHashes(), [hash(1), hash(2), hash(5), hash(6), hash(3), hash(4)]);
+    assert.deepEqual((await leaderboard()).map(row => row.total_usdc_received), ['9.000000', '12.000000']);
+});
+
+test('reconcile --repair inserts missing payments, removes extra ones and fixes the totals', { skip }, async (t) => {
+    t.mock.method(console, 'log', () => {});
+    
+    // The chain gains a payment the tracker never saw and loses hash(4)
+    mock.transfers.push({ block: 270, from: alice.tba, to: alpha.wallet, value: 7000000, hash: hash(7) });
+    mock.transfers.splice(mock.transfers.findIndex(transfer => transfer.hash === hash(4)), 1);
+    
+    await tracker.runReconcile({ repair: true });
+    
+    const audit = await db.query('SELECT missing_count, extra_count, mismatched_count, repair, status FROM reconciliations');
+    assert.deepEqual(audit.rows, [{ missing_count: 1, extra_count: 1, mismatched_count: 0, repair: true, status: 'completed' }]);
+    const findings = await db.query('SELECT tx_hash, kind, repaired FROM reconciliation_findings ORDER BY kind');
+    assert.deepEqual(findings.rows, [
+        { tx_hash: hash(4), kind: 'extra', repaired: true },
+        { tx_hash: hash(7), kind: 'missing', repaired: true }
+    ]);
+    
+    assert.deepEqual(await storedHashes(), [hash(1), hash(2), hash(5), hash(6), hash(7), hash(3)]);
+    const totals = await leaderboard();
+    assert.deepEqual(totals, [
+        { provider_entry_name: alpha.name, total_usdc_received: '16.000000', transaction_count: 4, unique_sender_count: 2 },
+        { provider_entry_name: beta.name, total_usdc_received: '8.000000', transaction_count: 2, unique_sender_count: 1 }
+    ]);
+    await tracker.runLeaderboardRebuild();
+    assert.deepEqual(await leaderboard(), totals);
+});
@@ -0,0 +1,89 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockEtherscan, USDC, RATE_LIMITED, INVALID_API_KEY } from './support/mock-etherscan.js';
+
+const WALLET = '0x' + 'aa'.repeat(20);
+const SENDER = '0x' + '11'.repeat(20);
+
+const transfers = [5, 9, 14, 20, 31].map((block, i) => ({
+    block,
+    from: SENDER,
+    to: WALLET,
+    value: 1000000 * (i + 1),
+    hash: '0x' + (i + 1).toString(16).padStart(64, '0')
+}));
+
+let mock;
+let EtherscanDataSource;
+
+// Short retry delays; read when retry.js loads
+before(async () => {
+    process.env.RETRY_DELAY_MS = '10';
+    process.env.MAX_RETRIES = '3';
+    ({ EtherscanDataSource } = await import('../data-sources/etherscan.js'));
+    mock = await startMockEtherscan({ headBlock: 1234, transfers });
+});
+
+after(() => mock.close());
+
+function createSource(options = {}) {
+    mock.requests.length = 0;
+    return new EtherscanDataSource({
+        etherscanApiUrl: mock.url,
+        etherscanApiKey: 'test-key',
+        chainId: 8453,
+        tokenAddresses: [USDC],
+        etherscanPageSize: 2,
+        etherscanResultWindow: 10000,
+        etherscanCallsPerSecond: 1000,
+        ...options
+    });
+}
+
+test('pages through tokentx results until a short page', async () => {
+    const source = createSource();
+    const results = await source.fetchTransfers([WALLET], 0, 100);
+    
+    assert.deepEqual(results.map(tx => Number(tx.blockNumber)), [5, 9, 14, 20, 31]);
+    assert.deepEqual(mock.requestsFor('tokentx').map(params => params.page), ['1', '2', '3']);
+    assert.equal(results[0].contractAddress, USDC);
+});
+
+test('splits the block range when it holds more than the result window', async () => {
+    const source = createSource({ etherscanResultWindow: 4 });
+    const results = await source.fetchTransfers([WALLET], 0, 35);
+    
+    assert.deepEqual(results.map(tx => Number(tx.blockNumber)), [5, 9, 14, 20, 31]);
+    const ranges = new Set(mock.requestsFor('tokentx').map(params => `${params.startblock}-${params.endblock}`));
+    assert.deepEqual([...ranges], ['0-35', '0-17', '18-35']);
+});
+
+test('an empty range is not an error', async () => {
+    const source = createSource();
+    assert.deepEqual(await source.fetchTransfers([WALLET], 500, 600), []);
+});
+
+test('rate-limit responses are retried', async () => {
+    const source = createSource();
+    mock.script('tokentx', RATE_LIMITED, RATE_LIMITED);
+    mock.script('eth_blockNumber', RATE_LIMITED);
+    
+    const results = await source.fetchTransfers([WALLET], 0, 6);
+    assert.equal(results.length, 1);
+    assert.equal(await source.getBlockHeight(), 1234);
+    assert.equal(mock.requestsFor('tokentx').length, 3);
+    assert.equal(mock.requestsFor('eth_blockNumber').length, 2);
+});
+
+test('API and HTTP errors surface once retries run out', async () => {
+    const source = createSource();
+    mock.script('tokentx', INVALID_API_KEY, INVALID_API_KEY, INVALID_API_KEY);
+    await assert.rejects(source.fetchTransfers([WALLET], 0, 10), /Invalid API Key/);
+    assert.equal(mock.requestsFor('tokentx').length, 3);
+    
+    mock.script('eth_getBlockByNumber', { httpStatus: 502 }, { httpStatus: 502 });
+    assert.equal(await source.getBlockHash(20), '0x' + (20).toString(16).padStart(64, '0'));
+    
+    mock.script('eth_blockNumber', INVALID_API_KEY, INVALID_API_KEY, INVALID_API_KEY);
+    await assert.rejects(source.getBlockHeight(), /Invalid API Key/);
+});
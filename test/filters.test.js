@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ownerRoot, paymentKey, screenPayments } from '../filters.js';
+
+const PROVIDER = '0x' + '11'.repeat(32);
+const WALLET = '0x' + 'a1'.repeat(20);
+const SENDER = '0x' + '5a'.repeat(20);
+const OTHER_SENDER = '0x' + '5b'.repeat(20);
+
+const NO_RULES = { minAmount: null, sameOwner: false, rate: null };
+
+function payment(n, fields = {}) {
+    return {
+        chainId: 8453,
+        hash: '0x' + n.toString(16).padStart(64, '0'),
+        blockNumber: n,
+        timestamp: new Date(Date.UTC(2026, 0, 1, 0, n)),
+        fromAddress: SENDER,
+        fromHypermapName: 'grid-wallet.dave.os',
+        toAddress: WALLET,
+        providerEntryNamehash: PROVIDER,
+        valueUsdc: '1.000000',
+        ...fields
+    };
+}
+
+test('dust is anything below minAmount', () => {
+    const payments = [payment(1, { valueUsdc: '0.009999' }), payment(2, { valueUsdc: '0.010000' }), payment(3, { valueUsdc: '0.000001' })];
+    const flagged = screenPayments(payments, { ...NO_RULES, minAmount: '0.01' });
+    assert.deepEqual([...flagged], [[paymentKey(payments[0]), ['dust']], [paymentKey(payments[2]), ['dust']]]);
+    assert.equal(screenPayments(payments, NO_RULES).size, 0);
+});
+
+test('flags are keyed by chain as well as transaction hash', () => {
+    const base = payment(1, { valueUsdc: '0.001000' });
+    const mainnet = payment(1, { chainId: 1 });
+    const flagged = screenPayments([base, mainnet], { ...NO_RULES, minAmount: '0.01' });
+    assert.deepEqual([...flagged], [['8453:' + base.hash, ['dust']]]);
+    assert.equal(flagged.has(paymentKey(mainnet)), false);
+});
+
+test('same owner follows TBA owners up to the account that controls them', () => {
+    const DAVE_TBA = '0x' + '4d'.repeat(20);
+    const DAVE = '0x' + 'e4'.repeat(20);
+    const tbaOwners = new Map([[SENDER, DAVE_TBA], [DAVE_TBA, DAVE]]);
+    assert.equal(ownerRoot(SENDER, tbaOwners), DAVE);
+    assert.equal(ownerRoot(DAVE, tbaOwners), DAVE);
+    
+    const rules = { ...NO_RULES, sameOwner: true, minAmount: '0.01' };
+    const payments = [
+        payment(1, { toAddress: DAVE_TBA }),
+        payment(2, { toAddress: DAVE }),
+        payment(3, { fromAddress: OTHER_SENDER, toAddress: DAVE }),
+        payment(4, { toAddress: DAVE, valueUsdc: '0.001000' }),
+        payment(5)
+    ];
+    const flagged = screenPayments(payments, rules, { tbaOwners });
+    assert.deepEqual([...flagged], [
+        [paymentKey(payments[0]), ['same_owner']],
+        [paymentKey(payments[1]), ['same_owner']],
+        [paymentKey(payments[3]), ['dust', 'same_owner']]
+    ]);
+});
+
+test('same owner does not match a deeper name with an owner of its own', () => {
+    // grid-wallet.erin.team.os pays team.os, but erin.team.os is owned by erin
+    const TEAM_TBA = '0x' + '4e'.repeat(20);
+    const ERIN_TBA = '0x' + '4f'.repeat(20);
+    const tbaOwners = new Map([
+        [SENDER, ERIN_TBA],
+        [ERIN_TBA, '0x' + 'e5'.repeat(20)],
+        [TEAM_TBA, '0x' + 'e4'.repeat(20)]
+    ]);
+    const rules = { ...NO_RULES, sameOwner: true };
+    assert.equal(screenPayments([payment(1, { toAddress: TEAM_TBA })], rules, { tbaOwners }).size, 0);
+    
+    // Owner links that loop end instead of hanging
+    const loop = new Map([[SENDER, ERIN_TBA], [ERIN_TBA, SENDER]]);
+    assert.equal(screenPayments([payment(2, { toAddress: TEAM_TBA })], rules, { tbaOwners: loop }).size, 0);
+});
+
+test('rate flags payments beyond maxPayments per pair within the window', () => {
+    // One payment a minute, at most two in any five minutes
+    const rules = { ...NO_RULES, minAmount: '0.01', rate: { maxPayments: 2, windowSeconds: 300 } };
+    const recent = new Map([[`${PROVIDER}:${SENDER}`, [payment(0).timestamp.getTime()]]]);
+    const payments = [
+        payment(1),
+        payment(2),
+        payment(3, { valueUsdc: '0.000001' }),
+        payment(4, { fromAddress: OTHER_SENDER }),
+        payment(7),
+        payment(8),
+        payment(9)
+    ];
+    
+    const flagged = screenPayments(payments, rules, { recent });
+    assert.deepEqual([...flagged], [
+        [paymentKey(payment(3)), ['dust']],
+        [paymentKey(payment(2)), ['rate']],
+        [paymentKey(payment(9)), ['rate']]
+    ]);
+});
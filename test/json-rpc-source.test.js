@@ -0,0 +1,142 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { JsonRpcDataSource } from '../data-sources/json-rpc.js';
+
+const USDC = '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913';
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+const SENDER = '0x' + '11'.repeat(20);
+const WALLET_A = '0x' + 'aa'.repeat(20);
+const WALLET_B = '0x' + 'bb'.repeat(20);
+
+const topic = (address) => '0x' + address.slice(2).padStart(64, '0');
+const hex = (n) => '0x' + n.toString(16);
+
+const logs = [
+    { block: 5, to: WALLET_A, value: 1500000n, hash: '0x' + '01'.repeat(32) },
+    { block: 9, to: WALLET_B, value: 123456789012345678n, hash: '0x' + '02'.repeat(32) }
+];
+
+// Stand-in JSON-RPC node: serves logs matching the recipient topic filter and
+// rejects eth_getLogs spans wider than `maxSpan` the way hosted nodes do
+let server;
+let rpcUrl;
+let maxSpan = Infinity;
+const calls = [];
+
+function handle(request) {
+    calls.push(request);
+    switch (request.method) {
+        case 'eth_blockNumber':
+            return { result: hex(1234) };
+        case 'eth_getBlockByNumber': {
+            const number = parseInt(request.params[0], 16);
+            return { result: { number: hex(number), hash: '0x' + number.toString(16).padStart(64, '0'), timestamp: hex(1700000000 + number) } };
+        }
+        case 'eth_getLogs': {
+            const filter = request.params[0];
+            const from = parseInt(filter.fromBlock, 16);
+            const to = parseInt(filter.toBlock, 16);
+            if (to - from + 1 > maxSpan) {
+                return { error: { code: -32005, message: 'query returned more than 10000 results' } };
+            }
+            const recipients = filter.topics[2];
+            return {
+                result: logs
+                    .filter(log => log.block >= from && log.block <= to && recipients.includes(topic(log.to)))
+                    .map(log => ({
+                        address: USDC,
+                        topics: [TRANSFER_TOPIC, topic(SENDER), topic(log.to)],
+                        data: '0x' + log.value.toString(16).padStart(64, '0'),
+                        blockNumber: hex(log.block),
+                        blockHash: '0x' + log.block.toString(16).padStart(64, '0'),
+                        transactionHash: log.hash,
+                        transactionIndex: '0x0',
+                        logIndex: '0x0',
+                        removed: false
+                    }))
+            };
+        }
+        default:
+            return { error: { code: -32601, message: 'method not found' } };
+    }
+}
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const request = JSON.parse(body);
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ jsonrpc: '2.0', id: request.id, ...handle(request) }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    rpcUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+});
+
+function createSource() {
+    return new JsonRpcDataSource({
+        rpcUrl,
+        tokenAddresses: [USDC],
+        rpcMaxBlockRange: 1000,
+        rpcAddressesPerCall: 100
+    });
+}
+
+test('getBlockHeight reads eth_blockNumber', async () => {
+    assert.equal(await createSource().getBlockHeight(), 1234);
+});
+
+test('getBlockHash reads the block hash from eth_getBlockByNumber', async () => {
+    assert.equal(await createSource().getBlockHash(255), '0x' + 'ff'.padStart(64, '0'));
+});
+
+test('fetchTransfers filters all wallets in one eth_getLogs call', async () => {
+    calls.length = 0;
+    maxSpan = Infinity;
+    
+    const transfers = await createSource().fetchTransfers([WALLET_A, WALLET_B], 1, 100);
+    
+    const logCalls = calls.filter(c => c.method === 'eth_getLogs');
+    assert.equal(logCalls.length, 1);
+    assert.deepEqual(logCalls[0].params[0].topics, [TRANSFER_TOPIC, null, [topic(WALLET_A), topic(WALLET_B)]]);
+    assert.deepEqual(logCalls[0].params[0].address, [USDC]);
+    
+    assert.deepEqual(transfers.map(t => [t.hash, t.blockNumber, t.from, t.to, t.contractAddress, t.value, t.timeStamp]), [
+        [logs[0].hash, '5', SENDER, WALLET_A, USDC, '1500000', '1700000005'],
+        [logs[1].hash, '9', SENDER, WALLET_B, USDC, '123456789012345678', '1700000009']
+    ]);
+});
+
+test('fetchTransfers splits ranges the node rejects as too large', async () => {
+    calls.length = 0;
+    maxSpan = 30;
+    
+    const transfers = await createSource().fetchTransfers([WALLET_A, WALLET_B], 1, 100);
+    
+    assert.equal(transfers.length, 2);
+    const served = calls
+        .filter(c => c.method === 'eth_getLogs')
+        .map(c => [parseInt(c.params[0].fromBlock, 16), parseInt(c.params[0].toBlock, 16)])
+        .filter(([from, to]) => to - from + 1 <= maxSpan);
+    assert.equal(served[0][0], 1);
+    assert.equal(served[served.length - 1][1], 100);
+});
+
+test('fetchTransfers chunks by the configured maximum block range', async () => {
+    calls.length = 0;
+    maxSpan = Infinity;
+    
+    await createSource().fetchTransfers([WALLET_A], 1, 2500);
+    
+    const ranges = calls
+        .filter(c => c.method === 'eth_getLogs')
+        .map(c => [parseInt(c.params[0].fromBlock, 16), parseInt(c.params[0].toBlock, 16)]);
+    assert.deepEqual(ranges, [[1, 1000], [1001, 2000], [2001, 2500]]);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Registry, metrics } from '../metrics.js';
+import { withRetry } from '../retry.js';
+
+test('registry renders counters, gauges and histograms in exposition format', () => {
+    const registry = new Registry();
+    const calls = registry.counter('calls_total', 'Calls', ['source']);
+    const lag = registry.gauge('lag_blocks', 'Lag');
+    const duration = registry.histogram('duration_seconds', 'Duration', [], [1, 10]);
+    registry.onCollect(() => lag.set({}, 42));
+    
+    calls.inc({ source: 'rpc' });
+    calls.inc({ source: 'rpc' }, 2);
+    calls.inc({ source: 'say "hi"' });
+    duration.observe({}, 0.5);
+    duration.observe({}, 5);
+    
+    const text = registry.render();
+    assert.match(text, /# TYPE calls_total counter\ncalls_total\{source="rpc"\} 3\ncalls_total\{source="say \\"hi\\""\} 1/);
+    assert.match(text, /lag_blocks 42/);
+    assert.match(text, /duration_seconds_bucket\{le="1"\} 1\nduration_seconds_bucket\{le="10"\} 2\nduration_seconds_bucket\{le="\+Inf"\} 2\nduration_seconds_sum 5.5\nduration_seconds_count 2/);
+});
+
+test('withRetry counts API calls, errors and rate-limit hits per source', async () => {
+    const before = metrics.apiCalls.get({ source: 'test' });
+    
+    assert.equal(await withRetry(async () => 'ok', { source: 'test' }), 'ok');
+    await assert.rejects(withRetry(async () => {
+        throw new Error('Rate limit exceeded');
+    }, { source: 'test', maxRetries: 1 }));
+    
+    assert.equal(metrics.apiCalls.get({ source: 'test' }) - before, 2);
+    assert.equal(metrics.apiErrors.get({ source: 'test' }), 1);
+    assert.equal(metrics.rateLimitHits.get({ source: 'test' }), 1);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadMigrations, runMigrations } from '../migrations.js';
+
+// Stand-in pool whose schema_migrations table starts with `appliedVersions`
+function createPool(appliedVersions) {
+    const statements = [];
+    const client = {
+        async query(sql, params = []) {
+            statements.push(sql.trim());
+            if (sql.startsWith('SELECT version FROM schema_migrations')) {
+                return { rows: appliedVersions.map(version => ({ version })) };
+            }
+            if (sql.startsWith('INSERT INTO schema_migrations')) {
+                appliedVersions.push(params[0]);
+            }
+            return { rows: [] };
+        },
+        release() {}
+    };
+    return { statements, pool: { connect: async () => client } };
+}
+
+const migrations = [
+    { version: 1, name: 'first', sql: 'CREATE TABLE first ()' },
+    { version: 2, name: 'second', sql: 'CREATE TABLE second ()' },
+    { version: 3, name: 'third', sql: 'CREATE TABLE third ()' }
+];
+
+test('bundled migrations load in version order', async () => {
+    const loaded = await loadMigrations();
+    const versions = loaded.map(migration => migration.version);
+    assert.ok(versions.length > 0);
+    assert.deepEqual(versions, [...versions].sort((a, b) => a - b));
+    assert.equal(loaded[0].name, 'initial_schema');
+});
+
+test('pending migrations are applied in order, each in a transaction', async () => {
+    const applied = [1];
+    const { pool, statements } = createPool(applied);
+    
+    assert.deepEqual(await runMigrations(pool, migrations), [2, 3]);
+    assert.deepEqual(applied, [1, 2, 3]);
+    
+    const applyOrder = statements.filter(sql => sql.startsWith('CREATE TABLE') && !sql.includes('schema_migrations'));
+    assert.deepEqual(applyOrder, ['CREATE TABLE second ()', 'CREATE TABLE third ()']);
+    assert.equal(statements.filter(sql => sql === 'BEGIN').length, 2);
+    assert.equal(statements.filter(sql => sql === 'COMMIT').length, 2);
+    
+    // Each migration can read the configured base chain
+    const baseChain = statements.filter(sql => sql.includes("set_config('tracker.base_chain_id'"));
+    assert.equal(baseChain.length, 2);
+});
+
+test('an up-to-date schema applies nothing', async () => {
+    const { pool } = createPool([1, 2, 3]);
+    assert.deepEqual(await runMigrations(pool, migrations), []);
+});
+
+test('a schema newer than the code refuses to start', async () => {
+    const { pool, statements } = createPool([1, 2, 3, 4]);
+    await assert.rejects(runMigrations(pool, migrations), /version 4.*refusing to start/);
+    assert.ok(!statements.includes('BEGIN'));
+});
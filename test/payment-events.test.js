@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { INVALID_API_KEY } from './support/mock-etherscan.js';
+import { hypermap } from './support/fixture-db.js';
+import { hash, setupTrackerFixture, skip } from './support/tracker-fixture.js';
+
+// Which runs announce payments: only new blocks at the chain head produce
+// events and webhook deliveries (test/support/webhooks.config.json subscribes
+// to every event type at a port nothing listens on)
+
+const { alpha, beta } = hypermap.providers;
+const { alice, bob } = hypermap.senders;
+
+const transfers = [
+    { block: 100, from: alice.tba, to: alpha.wallet, value: 1000000, hash: hash(1) },
+    { block: 200, from: bob.tba, to: beta.wallet, value: 2000000, hash: hash(2) }
+];
+
+let fixture;
+let mock;
+let db;
+let tracker;
+
+before(async () => {
+    if (skip) return;
+    
+    // A chain more than 100 blocks behind its head is catching up
+    fixture = await setupTrackerFixture({
+        headBlock: 500,
+        transfers,
+        config: 'webhooks.config.json',
+        env: {
+            BLOCK_SAFETY_BUFFER: '10',
+            EVENTS_MAX_BLOCK_LAG: '100',
+            MAX_RETRIES: '3',
+            WEBHOOK_TIMEOUT_MS: '1000'
+        }
+    });
+    ({ mock, db, tracker } = fixture);
+});
+
+after(async () => {
+    if (skip) return;
+    await fixture.close();
+});
+
+async function announced() {
+    const events = await db.query(`
+        SELECT event_type, payload->>'tx_hash' AS tx_hash, provider_entry_name
+        FROM payment_events
+        ORDER BY id
+    `);
+    const deliveries = await db.query('SELECT COUNT(*)::int AS count FROM webhook_deliveries');
+    return { events: events.rows, deliveries: deliveries.rows[0].count };
+}
+
+async function storedHashes() {
+    const result = await db.query('SELECT tx_hash FROM hypermap_transactions ORDER BY block_number');
+    return result.rows.map(row => row.tx_hash);
+}
+
+test('a first run catches up without announcing its history', { skip }, async () => {
+    await tracker.runPaymentTracker();
+    
+    assert.deepEqual(await storedHashes(), [hash(1), hash(2)]);
+    assert.deepEqual(await announced(), { events: [], deliveries: 0 });
+});
+
+test('payments in new blocks at the head are announced and queued for webhooks', { skip }, async () => {
+    mock.transfers.push({ block: 520, from: alice.tba, to: beta.wallet, value: 3000000, hash: hash(3) });
+    mock.headBlock = 580;
+    
+    await tracker.runPaymentTracker();
+    
+    assert.deepEqual(await announced(), {
+        events: [
+            { event_type: 'payment.received', tx_hash: hash(3), provider_entry_name: beta.name },
+            { event_type: 'leaderboard.updated', tx_hash: null, provider_entry_name: beta.name }
+        ],
+        deliveries: 2
+    });
+});
+
+test('backfills, re-indexes and queued retries store payments without announcing them', { skip }, async () => {
+    const earlier = await announced();
+    
+    // Payments the data source only returns later, in blocks already indexed
+    mock.transfers.push({ block: 300, from: bob.tba, to: alpha.wallet, value: 4000000, hash: hash(4) });
+    await tracker.runBackfill({ from: 1, to: 400 });
+    mock.transfers.push({ block: 310, from: alice.tba, to: alpha.wallet, value: 5000000, hash: hash(5) });
+    await tracker.runReindex({ provider: alpha.name });
+    
+    // alpha's fetch for the new blocks fails every attempt and is queued, then
+    // drained by the next run
+    mock.transfers.push({ block: 600, from: bob.tba, to: alpha.wallet, value: 6000000, hash: hash(6) });
+    mock.headBlock = 660;
+    mock.script('tokentx', INVALID_API_KEY, INVALID_API_KEY, INVALID_API_KEY);
+    await tracker.runPaymentTracker();
+    const queued = await db.query('SELECT COUNT(*)::int AS count FROM provider_retry_queue');
+    assert.equal(queued.rows[0].count, 1);
+    await tracker.runPaymentTracker();
+    
+    assert.deepEqual(await storedHashes(), [hash(1), hash(2), hash(4), hash(5), hash(3), hash(6)]);
+    assert.deepEqual(await announced(), earlier);
+});
@@ -0,0 +1,147 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import pg from 'pg';
+import { hypermap } from './support/fixture-db.js';
+import { hash, setupTrackerFixture, skip } from './support/tracker-fixture.js';
+
+// Tracker runs with the dust, same-owner and rate filters switched on
+// (test/support/filters.config.json: 0.01 minimum, two payments a minute)
+
+const { alpha, beta } = hypermap.providers;
+const { alice, bob, dave } = hypermap.senders;
+
+const address = (n) => '0x' + n.toString(16).padStart(40, '0');
+
+// Added to the indexer here, along with an entries.owner column: dave.os is
+// owned by the EOA that is beta's ~wallet, so dave's grid-wallet paying beta
+// is a self-payment. delta is paid into team.os's TBA, but erin.team.os has
+// an owner of its own, so erin's grid-wallet paying delta is not.
+const delta = { name: 'delta.grid.hypr', namehash: hash(0x14), wallet: address(0x4e), providerId: 'delta-provider' };
+const erin = { name: 'grid-wallet.erin.team.os', tba: address(0x5e) };
+const entries = [
+    [hash(0x8), 'team', hash(0x3), 'team.os', address(0x4e), address(0xe0)],
+    [hash(0x9), 'erin', hash(0x8), 'erin.team.os', address(0x4f), address(0xe5)],
+    [hash(0x25), 'grid-wallet', hash(0x9), erin.name, erin.tba, null],
+    [delta.namehash, 'delta', hash(0x2), delta.name, null, null]
+];
+const notes = [
+    [delta.namehash, '~wallet', delta.wallet],
+    [delta.namehash, '~provider-id', delta.providerId]
+];
+
+// The mock stamps block N at 1700000000 + 2N seconds, so a minute is 30 blocks
+const transfers = [
+    { block: 100, from: alice.tba, to: alpha.wallet, value: 1500000, hash: hash(1) },
+    { block: 101, from: alice.tba, to: alpha.wallet, value: 5000, hash: hash(2) },
+    { block: 110, from: dave.tba, to: beta.wallet, value: 3000000, hash: hash(3) },
+    { block: 111, from: dave.tba, to: alpha.wallet, value: 2000000, hash: hash(4) },
+    { block: 120, from: erin.tba, to: delta.wallet, value: 2000000, hash: hash(10) },
+    { block: 200, from: bob.tba, to: alpha.wallet, value: 1000000, hash: hash(5) },
+    { block: 201, from: bob.tba, to: alpha.wallet, value: 1000000, hash: hash(6) },
+    { block: 202, from: bob.tba, to: alpha.wallet, value: 1000000, hash: hash(7) },
+    { block: 203, from: bob.tba, to: alpha.wallet, value: 1000000, hash: hash(8) },
+    { block: 300, from: alice.tba, to: beta.wallet, value: 1000, hash: hash(9) }
+];
+
+let fixture;
+let db;
+let tracker;
+let metrics;
+
+before(async () => {
+    if (skip) return;
+    
+    fixture = await setupTrackerFixture({
+        headBlock: 1000,
+        transfers,
+        config: 'filters.config.json',
+        env: { BATCH_SIZE: '3' }
+    });
+    ({ db, tracker } = fixture);
+    ({ metrics } = await import('../metrics.js'));
+    
+    const indexer = new pg.Client({ connectionString: fixture.databases.indexerUrl });
+    await indexer.connect();
+    await indexer.query('ALTER TABLE entries ADD COLUMN owner TEXT');
+    await indexer.query('UPDATE entries SET owner = $1 WHERE namehash = $2', [beta.wallet, hypermap.users.dave.namehash]);
+    for (const entry of entries) {
+        await indexer.query('INSERT INTO entries (namehash, label, parent_hash, full_name, tba, owner) VALUES ($1, $2, $3, $4, $5, $6)', entry);
+    }
+    for (const note of notes) {
+        await indexer.query('INSERT INTO notes (entry_hash, label, interpreted_data) VALUES ($1, $2, $3)', note);
+    }
+    await indexer.end();
+});
+
+after(async () => {
+    if (skip) return;
+    await fixture.close();
+});
+
+async function leaderboard() {
+    const result = await db.query(`
+        SELECT provider_entry_name, total_usdc_received, transaction_count, unique_sender_count
+        FROM provider_leaderboard
+        ORDER BY provider_entry_name
+    `);
+    return result.rows;
+}
+
+async function flagged() {
+    const result = await db.query('SELECT tx_hash, reasons, status FROM flagged_transactions ORDER BY block_number');
+    return result.rows.map(row => [row.tx_hash, row.reasons, row.status]);
+}
+
+const expectedFlags = [
+    [hash(2), ['dust'], 'flagged'],
+    [hash(3), ['same_owner'], 'flagged'],
+    [hash(7), ['rate'], 'flagged'],
+    [hash(8), ['rate'], 'flagged'],
+    [hash(9), ['dust'], 'flagged']
+];
+
+test('filtered payments are flagged with their reasons and left off the leaderboard', { skip }, async () => {
+    await tracker.runPaymentTracker();
+    
+    assert.deepEqual(await flagged(), expectedFlags);
+    const stored = await db.query('SELECT tx_hash FROM hypermap_transactions ORDER BY block_number');
+    assert.deepEqual(stored.rows.map(row => row.tx_hash), [hash(1), hash(4), hash(10), hash(5), hash(6)]);
+    
+    assert.deepEqual(await leaderboard(), [
+        { provider_entry_name: alpha.name, total_usdc_received: '5.500000', transaction_count: 4, unique_sender_count: 3 },
+        { provider_entry_name: beta.name, total_usdc_received: '0.000000', transaction_count: 0, unique_sender_count: 0 },
+        { provider_entry_name: delta.name, total_usdc_received: '2.000000', transaction_count: 1, unique_sender_count: 1 }
+    ]);
+    
+    const events = await db.query("SELECT COUNT(*)::int AS count FROM payment_events WHERE event_type = 'payment.received'");
+    assert.equal(events.rows[0].count, 5);
+    assert.equal(metrics.paymentsFlagged.get({ reason: 'rate' }), 2);
+});
+
+test('flagged payments are not stored or flagged again when re-fetched', { skip }, async () => {
+    await tracker.runBackfill({ from: 1, to: 990 });
+    await tracker.runReconcile({});
+    
+    assert.deepEqual(await flagged(), expectedFlags);
+    const audit = await db.query('SELECT chain_payments, missing_count, extra_count, mismatched_count FROM reconciliations');
+    assert.deepEqual(audit.rows, [{ chain_payments: 5, missing_count: 0, extra_count: 0, mismatched_count: 0 }]);
+});
+
+test('unflagging counts the payment and it stays counted', { skip }, async () => {
+    await tracker.runUnflag({ tx: hash(3) });
+    
+    assert.deepEqual((await flagged())[1], [hash(3), ['same_owner'], 'unflagged']);
+    assert.deepEqual((await leaderboard())[1], { provider_entry_name: beta.name, total_usdc_received: '3.000000', transaction_count: 1, unique_sender_count: 1 });
+    const event = await db.query("SELECT COUNT(*)::int AS count FROM payment_events WHERE event_type = 'payment.received' AND payload->>'tx_hash' = $1", [hash(3)]);
+    assert.equal(event.rows[0].count, 1);
+    
+    // Re-fetching keeps it counted, and a full recount agrees
+    await tracker.runBackfill({ from: 1, to: 990 });
+    const totals = await leaderboard();
+    await tracker.runLeaderboardRebuild();
+    assert.deepEqual(await leaderboard(), totals);
+    assert.equal(totals[1].transaction_count, 1);
+    
+    await assert.rejects(tracker.runUnflag({ tx: hash(3) }), /No flagged payment/);
+    await assert.rejects(tracker.runUnflag({ tx: hash(1) }), /No flagged payment/);
+});
@@ -0,0 +1,171 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { INVALID_API_KEY, RATE_LIMITED } from './support/mock-etherscan.js';
+import { hypermap } from './support/fixture-db.js';
+import { hash, setupTrackerFixture, skip } from './support/tracker-fixture.js';
+
+// End-to-end runs of the tracker against the mock Etherscan server and
+// throwaway Postgres databases seeded with a small Hypermap
+
+const { alpha, beta } = hypermap.providers;
+const { alice, bob } = hypermap.senders;
+
+const transfers = [
+    { block: 100, from: alice.tba, to: alpha.wallet, value: 1500000, hash: hash(1) },
+    { block: 110, from: bob.tba, to: alpha.wallet, value: 2250000, hash: hash(2) },
+    { block: 120, from: alice.tba, to: alpha.wallet, value: 1, hash: hash(3) },
+    { block: 130, from: alice.tba, to: beta.wallet, value: 10000000, hash: hash(4) },
+    // A TBA outside the sender patterns, a plain address and an outgoing transfer
+    { block: 140, from: hypermap.outsider.tba, to: alpha.wallet, value: 5000000, hash: hash(5) },
+    { block: 150, from: '0x' + 'ee'.repeat(20), to: beta.wallet, value: 7000000, hash: hash(6) },
+    { block: 160, from: alpha.wallet, to: alice.tba, value: 1000000, hash: hash(7) }
+];
+
+let fixture;
+let mock;
+let db;
+let tracker;
+let metrics;
+
+before(async () => {
+    if (skip) return;
+    
+    // Small pages, window and batches so paging, range splitting and batch
+    // flushes all happen on a few transfers
+    fixture = await setupTrackerFixture({
+        headBlock: 1000,
+        transfers,
+        env: {
+            ETHERSCAN_PAGE_SIZE: '2',
+            ETHERSCAN_RESULT_WINDOW: '4',
+            BATCH_SIZE: '2',
+            BLOCK_CHUNK_SIZE: '500',
+            BLOCK_SAFETY_BUFFER: '10',
+            MAX_RETRIES: '3'
+        }
+    });
+    ({ mock, db, tracker } = fixture);
+    ({ metrics } = await import('../metrics.js'));
+});
+
+after(async () => {
+    if (skip) return;
+    await fixture.close();
+});
+
+async function leaderboard() {
+    const result = await db.query(`
+        SELECT provider_entry_name, total_usdc_received, transaction_count, unique_sender_count
+        FROM provider_leaderboard
+        ORDER BY provider_entry_name
+    `);
+    return result.rows;
+}
+
+async function storedHashes() {
+    const result = await db.query('SELECT tx_hash FROM hypermap_transactions ORDER BY block_number');
+    return result.rows.map(row => row.tx_hash);
+}
+
+test('only payments from sender TBAs to provider wallets are stored', { skip }, async () => {
+    await tracker.runPaymentTracker();
+    
+    assert.deepEqual(await storedHashes(), [hash(1), hash(2), hash(3), hash(4)]);
+    
+    const payment = await db.query('SELECT * FROM hypermap_transactions WHERE tx_hash = $1', [hash(2)]);
+    assert.equal(payment.rows[0].from_hypermap_name, bob.name);
+    assert.equal(payment.rows[0].provider_entry_name, alpha.name);
+    assert.equal(payment.rows[0].to_provider_id, alpha.providerId);
+    assert.equal(payment.rows[0].value_raw, '2250000');
+    
+    const cursor = await db.query('SELECT last_processed_block FROM chain_state WHERE chain_id = 8453');
+    assert.equal(Number(cursor.rows[0].last_processed_block), 990);
+    
+    // Five alpha transfers: two full pages hit the result window of four and split the range
+    const ranges = new Set(mock.requestsFor('tokentx')
+        .filter(params => params.address === alpha.wallet)
+        .map(params => `${params.startblock}-${params.endblock}`));
+    assert.deepEqual([...ranges], ['1-500', '1-250', '1-125', '126-250', '251-500', '501-990']);
+});
+
+test('leaderboard totals are exact and match a full rebuild', { skip }, async () => {
+    const expected = [
+        { provider_entry_name: alpha.name, total_usdc_received: '3.750001', transaction_count: 3, unique_sender_count: 2 },
+        { provider_entry_name: beta.name, total_usdc_received: '10.000000', transaction_count: 1, unique_sender_count: 1 }
+    ];
+    assert.deepEqual(await leaderboard(), expected);
+    
+    const senders = await db.query(`
+        SELECT from_hypermap_name, total_usdc_spent, transaction_count, provider_count
+        FROM sender_leaderboard
+        ORDER BY from_hypermap_name
+    `);
+    assert.deepEqual(senders.rows, [
+        { from_hypermap_name: alice.name, total_usdc_spent: '11.500001', transaction_count: 3, provider_count: 2 },
+        { from_hypermap_name: bob.name, total_usdc_spent: '2.250000', transaction_count: 1, provider_count: 1 }
+    ]);
+    
+    await tracker.runLeaderboardRebuild();
+    assert.deepEqual(await leaderboard(), expected);
+});
+
+test('rate-limited calls are retried within the run', { skip }, async () => {
+    mock.transfers.push({ block: 1005, from: bob.tba, to: beta.wallet, value: 2000000, hash: hash(8) });
+    mock.headBlock = 1100;
+    const rateLimitHits = metrics.rateLimitHits.get({ source: 'etherscan' });
+    mock.script('tokentx', RATE_LIMITED);
+    
+    await tracker.runPaymentTracker();
+    
+    assert.equal(metrics.rateLimitHits.get({ source: 'etherscan' }), rateLimitHits + 1);
+    assert.ok((await storedHashes()).includes(hash(8)));
+    const queued = await db.query('SELECT COUNT(*)::int AS count FROM provider_retry_queue');
+    assert.equal(queued.rows[0].count, 0);
+});
+
+test('a provider whose fetch keeps failing is queued and caught up next run', { skip }, async () => {
+    mock.transfers.push(
+        { block: 1150, from: alice.tba, to: alpha.wallet, value: 500000, hash: hash(9) },
+        { block: 1160, from: bob.tba, to: beta.wallet, value: 250000, hash: hash(10) }
+    );
+    mock.headBlock = 1200;
+    mock.script('tokentx', INVALID_API_KEY, INVALID_API_KEY, INVALID_API_KEY);
+    
+    await tracker.runPaymentTracker();
+    
+    // One provider's range failed every attempt; the cursor still moved on
+    const queued = await db.query('SELECT from_block, to_block, last_error FROM provider_retry_queue');
+    assert.equal(queued.rows.length, 1);
+    assert.equal(Number(queued.rows[0].from_block), 1091);
+    assert.equal(Number(queued.rows[0].to_block), 1190);
+    assert.equal(queued.rows[0].last_error, 'Invalid API Key');
+    assert.equal((await storedHashes()).length, 6);
+    
+    await tracker.runPaymentTracker();
+    
+    const remaining = await db.query('SELECT COUNT(*)::int AS count FROM provider_retry_queue');
+    assert.equal(remaining.rows[0].count, 0);
+    assert.deepEqual((await storedHashes()).slice(-2), [hash(9), hash(10)]);
+    
+    const runs = await db.query('SELECT status FROM tracker_runs ORDER BY id');
+    assert.deepEqual(runs.rows.map(row => row.status), ['success', 'success', 'success', 'success']);
+});
+
+test('commands that write refuse to start while the tracker lock is held', { skip }, async () => {
+    const { TRACKER_LOCK_ID } = await import('../scheduler.js');
+    const leader = await db.connect();
+    let ran = false;
+    try {
+        await leader.query('SELECT pg_advisory_lock($1)', [TRACKER_LOCK_ID]);
+        await assert.rejects(tracker.withTrackerLock(async () => { ran = true; }), /tracker lock is held/);
+        assert.equal(ran, false);
+    } finally {
+        await leader.query('SELECT pg_advisory_unlock($1)', [TRACKER_LOCK_ID]);
+        leader.release();
+    }
+    
+    // Free again once the leader lets go, and released afterwards
+    assert.equal(await tracker.withTrackerLock(async () => 'done'), 'done');
+    const held = await db.query("SELECT COUNT(*)::int AS count FROM pg_locks WHERE locktype = 'advisory' AND objid = $1", [TRACKER_LOCK_ID]);
+    assert.equal(held.rows[0].count, 0);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffPayments, selectWindows } from '../reconcile.js';
+
+const USDC = '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913';
+
+function payment(hash, valueRaw, tokenAddress = USDC) {
+    return { hash, valueRaw, tokenAddress };
+}
+
+function row(hash, valueRaw, tokenAddress = USDC) {
+    return { tx_hash: hash, value_raw: valueRaw, token_address: tokenAddress };
+}
+
+test('diff reports missing, extra and mismatched payments by tx hash', () => {
+    const expected = [
+        payment('0x01', '1500000'),
+        payment('0x02', '2500000'),
+        payment('0x02', '999'), // second transfer in the same tx is not stored either
+        payment('0x03', '100'),
+        payment('0x05', '7', '0xother')
+    ];
+    const stored = [
+        row('0x01', '1500000'),
+        row('0x03', '101'),
+        row('0x04', '5'),
+        row('0x05', '7')
+    ];
+    
+    const { missing, extra, mismatched } = diffPayments(expected, stored);
+    assert.deepEqual(missing.map(p => [p.hash, p.valueRaw]), [['0x02', '2500000']]);
+    assert.deepEqual(extra.map(r => r.tx_hash), ['0x04']);
+    assert.deepEqual(mismatched.map(({ payment, row }) => [payment.hash, row.value_raw, payment.valueRaw]), [
+        ['0x03', '101', '100'],
+        ['0x05', '7', '7']
+    ]);
+});
+
+test('windows cover the range, and a sample picks distinct windows in block order', () => {
+    assert.deepEqual(selectWindows(1, 25, 10), [
+        { fromBlock: 1, toBlock: 10 },
+        { fromBlock: 11, toBlock: 20 },
+        { fromBlock: 21, toBlock: 25 }
+    ]);
+    assert.equal(selectWindows(1, 25, 10, 5).length, 3);
+    
+    const randoms = [0.99, 0.0];
+    const sample = selectWindows(1, 100, 10, 2, () => randoms.shift());
+    assert.deepEqual(sample, [{ fromBlock: 11, toBlock: 20 }, { fromBlock: 91, toBlock: 100 }]);
+});
@@ -0,0 +1,124 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { hypermap } from './support/fixture-db.js';
+import { hash, setupTrackerFixture, skip } from './support/tracker-fixture.js';
+
+// Reorg detection against the mock Etherscan: checkpointed block hashes,
+// rollback to the newest one still on the chain and the re-index after it
+
+const { alpha, beta } = hypermap.providers;
+const { alice, bob } = hypermap.senders;
+
+const transfers = [
+    { block: 120, from: alice.tba, to: alpha.wallet, value: 1000000, hash: hash(1) },
+    { block: 250, from: bob.tba, to: alpha.wallet, value: 2000000, hash: hash(2) },
+    { block: 330, from: alice.tba, to: beta.wallet, value: 3000000, hash: hash(3) },
+    { block: 470, from: bob.tba, to: beta.wallet, value: 4000000, hash: hash(4) }
+];
+
+let fixture;
+let mock;
+let db;
+let tracker;
+
+before(async () => {
+    if (skip) return;
+    
+    // Chunks of 100 blocks, so indexing up to 490 checkpoints 100, 200, ... 490
+    fixture = await setupTrackerFixture({
+        headBlock: 500,
+        transfers,
+        env: { BLOCK_CHUNK_SIZE: '100', BLOCK_SAFETY_BUFFER: '10' }
+    });
+    ({ mock, db, tracker } = fixture);
+});
+
+after(async () => {
+    if (skip) return;
+    await fixture.close();
+});
+
+async function checkpoints() {
+    const result = await db.query('SELECT block_number FROM processed_block_hashes WHERE chain_id = 8453 ORDER BY block_number');
+    return result.rows.map(row => Number(row.block_number));
+}
+
+async function totals() {
+    const providers = await db.query(`
+        SELECT provider_entry_name, total_usdc_received, transaction_count, unique_sender_count
+        FROM provider_leaderboard
+        ORDER BY provider_entry_name
+    `);
+    const senders = await db.query('SELECT from_hypermap_name, total_usdc_spent, transaction_count FROM sender_leaderboard ORDER BY from_hypermap_name');
+    const daily = await db.query(`
+        SELECT provider_entry_namehash, SUM(transaction_count)::int AS transaction_count, SUM(volume_usdc) AS volume_usdc
+        FROM provider_daily_stats
+        WHERE transaction_count > 0
+        GROUP BY provider_entry_namehash
+        ORDER BY provider_entry_namehash
+    `);
+    return { providers: providers.rows, senders: senders.rows, daily: daily.rows };
+}
+
+test('the hashes of chunk ends and payment blocks are checkpointed', { skip }, async () => {
+    await tracker.runPaymentTracker();
+    
+    assert.deepEqual(await checkpoints(), [100, 120, 200, 250, 300, 330, 400, 470, 490]);
+    assert.deepEqual((await totals()).providers, [
+        { provider_entry_name: alpha.name, total_usdc_received: '3.000000', transaction_count: 2, unique_sender_count: 2 },
+        { provider_entry_name: beta.name, total_usdc_received: '7.000000', transaction_count: 2, unique_sender_count: 2 }
+    ]);
+});
+
+test('a reorg rolls back to the newest checkpoint still on the chain and rewinds the cursor', { skip }, async () => {
+    // Blocks from 300 on are replaced: hash(3) is dropped, hash(4) is mined again
+    // and a payment that was never seen before lands at 350
+    mock.reorg(300);
+    mock.transfers.splice(2, 1);
+    mock.transfers.push({ block: 350, from: alice.tba, to: alpha.wallet, value: 5000000, hash: hash(5) });
+    const requestCount = mock.requests.length;
+    
+    await tracker.runPaymentTracker();
+    
+    // Block 250 still matched, so indexing resumed from 251
+    const ranges = new Set(mock.requests.slice(requestCount)
+        .filter(params => params.action === 'tokentx')
+        .map(params => `${params.startblock}-${params.endblock}`));
+    assert.deepEqual([...ranges], ['251-350', '351-450', '451-490']);
+    assert.deepEqual(await checkpoints(), [100, 120, 200, 250, 350, 450, 470, 490]);
+    
+    const reverted = await db.query(`
+        SELECT payload->>'tx_hash' AS tx_hash FROM payment_events
+        WHERE event_type = 'payment.reverted'
+        ORDER BY payload->>'tx_hash'
+    `);
+    assert.deepEqual(reverted.rows.map(row => row.tx_hash), [hash(3), hash(4)]);
+    
+    const stored = await db.query('SELECT tx_hash, block_number FROM hypermap_transactions ORDER BY block_number');
+    assert.deepEqual(stored.rows.map(row => [row.tx_hash, Number(row.block_number)]), [
+        [hash(1), 120], [hash(2), 250], [hash(5), 350], [hash(4), 470]
+    ]);
+    const cursor = await db.query('SELECT last_processed_block FROM chain_state WHERE chain_id = 8453');
+    assert.equal(Number(cursor.rows[0].last_processed_block), 490);
+});
+
+test('rolled-back payments leave the leaderboards and rollups', { skip }, async () => {
+    const expected = {
+        providers: [
+            { provider_entry_name: alpha.name, total_usdc_received: '8.000000', transaction_count: 3, unique_sender_count: 2 },
+            { provider_entry_name: beta.name, total_usdc_received: '4.000000', transaction_count: 1, unique_sender_count: 1 }
+        ],
+        senders: [
+            { from_hypermap_name: alice.name, total_usdc_spent: '6.000000', transaction_count: 2 },
+            { from_hypermap_name: bob.name, total_usdc_spent: '6.000000', transaction_count: 2 }
+        ],
+        daily: [
+            { provider_entry_namehash: alpha.namehash, transaction_count: 3, volume_usdc: '8.000000' },
+            { provider_entry_namehash: beta.namehash, transaction_count: 1, volume_usdc: '4.000000' }
+        ]
+    };
+    assert.deepEqual(await totals(), expected);
+    
+    await tracker.runLeaderboardRebuild();
+    assert.deepEqual(await totals(), expected);
+});
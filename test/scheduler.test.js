@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scheduler } from '../scheduler.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Stand-in for one database: session advisory locks are shared across pools
+function lockDatabase() {
+    const locks = new Map();
+    let nextSession = 1;
+    
+    return {
+        locks,
+        pool() {
+            return {
+                async connect() {
+                    const session = nextSession++;
+                    return {
+                        session,
+                        broken: false,
+                        released: false,
+                        on() {},
+                        release() {
+                            this.released = true;
+                            // Ending a session frees its locks
+                            for (const [key, holder] of locks) {
+                                if (holder === session) locks.delete(key);
+                            }
+                        },
+                        async query(sql, params) {
+                            if (this.broken) throw new Error('Connection terminated unexpectedly');
+                            if (sql.includes('pg_try_advisory_lock')) {
+                                const acquired = !locks.has(params[0]) || locks.get(params[0]) === session;
+                                if (acquired) locks.set(params[0], session);
+                                return { rows: [{ acquired }] };
+                            }
+                            if (sql.includes('pg_advisory_unlock')) {
+                                locks.delete(params[0]);
+                            }
+                            return { rows: [] };
+                        }
+                    };
+                }
+            };
+        }
+    };
+}
+
+test('cycles never overlap and stop waits for the running one', async () => {
+    const db = lockDatabase();
+    let running = 0;
+    let maxRunning = 0;
+    let finished = 0;
+    const scheduler = new Scheduler(db.pool(), {
+        intervalMs: 1,
+        task: async () => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await sleep(20);
+            running--;
+            finished++;
+        }
+    });
+    
+    scheduler.start();
+    await sleep(70);
+    await scheduler.stop();
+    
+    assert.equal(maxRunning, 1);
+    assert.ok(finished >= 2);
+    assert.equal(running, 0, 'stop returned before the cycle finished');
+    assert.equal(scheduler.isLeader, false);
+    assert.equal(db.locks.size, 0);
+    
+    const stopped = finished;
+    await sleep(10);
+    assert.equal(finished, stopped);
+});
+
+test('only the lock holder runs; a standby takes over when it stops', async () => {
+    const db = lockDatabase();
+    const runs = [];
+    const leader = new Scheduler(db.pool(), { intervalMs: 5, task: async () => runs.push('leader') });
+    const standby = new Scheduler(db.pool(), { intervalMs: 5, task: async () => runs.push('standby') });
+    
+    leader.start();
+    await sleep(2);
+    standby.start();
+    await sleep(30);
+    assert.ok(leader.isLeader);
+    assert.ok(!standby.isLeader);
+    assert.ok(!runs.includes('standby'));
+    
+    await leader.stop();
+    await sleep(30);
+    await standby.stop();
+    assert.ok(runs.includes('standby'));
+});
+
+test('a leader whose lock session died gives up the lock and takes it again', async () => {
+    const db = lockDatabase();
+    let runs = 0;
+    const scheduler = new Scheduler(db.pool(), { intervalMs: 5, task: async () => runs++ });
+    
+    scheduler.start();
+    await sleep(2);
+    const firstSession = scheduler.lockClient;
+    firstSession.broken = true;
+    await sleep(20);
+    await scheduler.stop();
+    
+    assert.ok(firstSession.released);
+    assert.ok(runs >= 2);
+    assert.equal(db.locks.size, 0);
+});
@@ -0,0 +1,130 @@
+import pg from 'pg';
+import { randomUUID } from 'node:crypto';
+
+// Throwaway databases for the Postgres-backed tests. TEST_DATABASE_URL points
+// at a server the tests may create databases on (any database on it will do
+// for the connection); each test file gets its own payments and indexer
+// databases, dropped again when it finishes. Without it those tests skip.
+export const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+const ROOT_HASH = '0x' + '0'.repeat(64);
+
+const namehash = (n) => '0x' + n.toString(16).padStart(64, '0');
+const address = (n) => '0x' + n.toString(16).padStart(40, '0');
+
+// A small Hypermap: providers under grid.hypr and sender TBAs under user
+// names. Only grid-wallet.* entries are valid payers.
+export const hypermap = {
+    providers: {
+        alpha: { name: 'alpha.grid.hypr', namehash: namehash(0x11), wallet: address(0xa1), providerId: 'alpha-provider' },
+        beta: { name: 'beta.grid.hypr', namehash: namehash(0x12), wallet: address(0xb1), providerId: 'beta-provider' }
+    },
+    // Has a ~provider-id but no ~wallet, so it is not a provider yet
+    incomplete: { name: 'gamma.grid.hypr', namehash: namehash(0x13) },
+    senders: {
+        alice: { name: 'grid-wallet.alice.os', tba: address(0x5a) },
+        bob: { name: 'grid-wallet.bob.os', tba: address(0x5b) },
+        dave: { name: 'grid-wallet.dave.os', tba: address(0x5d) }
+    },
+    // A TBA whose name does not match the sender patterns
+    outsider: { name: 'vault.carol.os', tba: address(0x5c) },
+    // User names, with the TBAs their sub-entries are minted from
+    users: {
+        alice: { name: 'alice.os', namehash: namehash(0x4), tba: address(0x4a) },
+        bob: { name: 'bob.os', namehash: namehash(0x5), tba: address(0x4b) },
+        carol: { name: 'carol.os', namehash: namehash(0x6), tba: address(0x4c) },
+        dave: { name: 'dave.os', namehash: namehash(0x7), tba: address(0x4d) }
+    }
+};
+
+function databaseUrl(name) {
+    const url = new URL(TEST_DATABASE_URL);
+    url.pathname = `/${name}`;
+    return url.toString();
+}
+
+async function withClient(connectionString, fn) {
+    const client = new pg.Client({ connectionString });
+    await client.connect();
+    try {
+        return await fn(client);
+    } finally {
+        await client.end();
+    }
+}
+
+// Just the indexer columns the tracker reads
+async function seedHypermap(client) {
+    await client.query(`
+        CREATE TABLE entries (
+            namehash TEXT PRIMARY KEY,
+            label TEXT NOT NULL,
+            parent_hash TEXT NOT NULL,
+            full_name TEXT NOT NULL,
+            tba TEXT
+        );
+        CREATE TABLE notes (
+            entry_hash TEXT NOT NULL,
+            label TEXT NOT NULL,
+            interpreted_data TEXT
+        );
+    `);
+    
+    const { providers, incomplete, senders, outsider, users } = hypermap;
+    const entries = [
+        [namehash(0x1), 'hypr', ROOT_HASH, 'hypr', null],
+        [namehash(0x2), 'grid', namehash(0x1), 'grid.hypr', null],
+        [namehash(0x3), 'os', ROOT_HASH, 'os', null],
+        [users.alice.namehash, 'alice', namehash(0x3), users.alice.name, users.alice.tba],
+        [users.bob.namehash, 'bob', namehash(0x3), users.bob.name, users.bob.tba],
+        [users.carol.namehash, 'carol', namehash(0x3), users.carol.name, users.carol.tba],
+        [users.dave.namehash, 'dave', namehash(0x3), users.dave.name, users.dave.tba],
+        [providers.alpha.namehash, 'alpha', namehash(0x2), providers.alpha.name, null],
+        [providers.beta.namehash, 'beta', namehash(0x2), providers.beta.name, null],
+        [incomplete.namehash, 'gamma', namehash(0x2), incomplete.name, null],
+        [namehash(0x21), 'grid-wallet', users.alice.namehash, senders.alice.name, senders.alice.tba],
+        [namehash(0x22), 'grid-wallet', users.bob.namehash, senders.bob.name, senders.bob.tba],
+        [namehash(0x24), 'grid-wallet', users.dave.namehash, senders.dave.name, senders.dave.tba],
+        [namehash(0x23), 'vault', users.carol.namehash, outsider.name, outsider.tba]
+    ];
+    const notes = [
+        [providers.alpha.namehash, '~wallet', providers.alpha.wallet],
+        [providers.alpha.namehash, '~provider-id', providers.alpha.providerId],
+        [providers.beta.namehash, '~wallet', providers.beta.wallet],
+        [providers.beta.namehash, '~provider-id', providers.beta.providerId],
+        [incomplete.namehash, '~provider-id', 'gamma-provider']
+    ];
+    
+    await client.query(`
+        INSERT INTO entries (namehash, label, parent_hash, full_name, tba)
+        SELECT * FROM unnest($1::text[], $2::text[], $3::text[], $4::text[], $5::text[])
+    `, [0, 1, 2, 3, 4].map(i => entries.map(entry => entry[i])));
+    await client.query(`
+        INSERT INTO notes (entry_hash, label, interpreted_data)
+        SELECT * FROM unnest($1::text[], $2::text[], $3::text[])
+    `, [0, 1, 2].map(i => notes.map(note => note[i])));
+}
+
+// Creates empty payments and seeded indexer databases. Returns their URLs and
+// drop(), to be called once every pool on them has been closed.
+export async function createFixtureDatabases() {
+    const suffix = randomUUID().slice(0, 8);
+    const names = { payments: `tracker_test_payments_${suffix}`, indexer: `tracker_test_indexer_${suffix}` };
+    
+    await withClient(TEST_DATABASE_URL, async (admin) => {
+        await admin.query(`CREATE DATABASE ${names.payments}`);
+        await admin.query(`CREATE DATABASE ${names.indexer}`);
+    });
+    await withClient(databaseUrl(names.indexer), seedHypermap);
+    
+    return {
+        paymentsUrl: databaseUrl(names.payments),
+        indexerUrl: databaseUrl(names.indexer),
+        async drop() {
+            await withClient(TEST_DATABASE_URL, async (admin) => {
+                await admin.query(`DROP DATABASE IF EXISTS ${names.payments}`);
+                await admin.query(`DROP DATABASE IF EXISTS ${names.indexer}`);
+            });
+        }
+    };
+}
@@ -0,0 +1,135 @@
+import http from 'node:http';
+
+// Stand-in for the Etherscan v2 API on a local port. Serves
+// account/tokentx (filtered by address, token and block range, paged with
+// page/offset under the 10000-result window) and the proxy eth_blockNumber
+// and eth_getBlockByNumber calls. Responses queued with script() are served
+// first, in order, for the action they name, so a test can slot rate limits,
+// API errors and HTTP failures in between normal answers. reorg() replaces
+// the hashes of every block from a given height on.
+export const USDC = '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913';
+
+// Failure bodies as Etherscan sends them: status "0", message "NOTOK" and the reason in result
+export const RATE_LIMITED = { status: '0', message: 'NOTOK', result: 'Max calls per sec rate limit reached (5/sec)' };
+export const INVALID_API_KEY = { status: '0', message: 'NOTOK', result: 'Invalid API Key' };
+export const NO_TRANSACTIONS = { status: '0', message: 'No transactions found', result: [] };
+
+const RESULT_WINDOW = 10000;
+
+const hex = (n) => '0x' + n.toString(16);
+
+// fork counts the reorgs that replaced the block
+export function blockHash(blockNumber, fork = 0) {
+    return '0x' + fork.toString(16).padStart(2, '0') + blockNumber.toString(16).padStart(62, '0');
+}
+
+// transfers: { block, from, to, value, hash, token = USDC }
+function tokenTxRow(transfer) {
+    return {
+        blockNumber: String(transfer.block),
+        timeStamp: String(1700000000 + transfer.block * 2),
+        hash: transfer.hash,
+        from: transfer.from,
+        contractAddress: transfer.token ?? USDC,
+        to: transfer.to,
+        value: String(transfer.value),
+        tokenName: 'USD Coin',
+        tokenSymbol: 'USDC',
+        tokenDecimal: '6',
+        gasUsed: '50000'
+    };
+}
+
+function answerTokenTx(state, params) {
+    const page = parseInt(params.page);
+    const offset = parseInt(params.offset);
+    if (page * offset > RESULT_WINDOW) {
+        return { status: '0', message: 'NOTOK', result: `Result window is too large, PageNo x Offset size must be less than or equal to ${RESULT_WINDOW}` };
+    }
+    
+    const address = params.address.toLowerCase();
+    const token = params.contractaddress.toLowerCase();
+    const startBlock = parseInt(params.startblock);
+    const endBlock = parseInt(params.endblock);
+    const rows = state.transfers
+        .filter(transfer =>
+            (transfer.to === address || transfer.from === address) &&
+            (transfer.token ?? USDC) === token &&
+            transfer.block >= startBlock &&
+            transfer.block <= endBlock
+        )
+        .sort((a, b) => a.block - b.block)
+        .slice((page - 1) * offset, page * offset)
+        .map(tokenTxRow);
+    
+    return rows.length > 0 ? { status: '1', message: 'OK', result: rows } : NO_TRANSACTIONS;
+}
+
+function answer(state, params) {
+    switch (params.action) {
+        case 'tokentx':
+            return answerTokenTx(state, params);
+        case 'eth_blockNumber':
+            return { jsonrpc: '2.0', id: 83, result: hex(state.headBlock) };
+        case 'eth_getBlockByNumber': {
+            const number = parseInt(params.tag, 16);
+            if (number > state.headBlock) {
+                return { jsonrpc: '2.0', id: 1, result: null };
+            }
+            const fork = state.reorgs.filter(fromBlock => fromBlock <= number).length;
+            return { jsonrpc: '2.0', id: 1, result: { number: params.tag, hash: blockHash(number, fork), timestamp: hex(1700000000 + number * 2) } };
+        }
+        default:
+            return { status: '0', message: 'NOTOK', result: 'Error! Missing Or invalid Action name' };
+    }
+}
+
+// Returns { url, requests, transfers, headBlock, script(action, ...responses),
+// reorg(fromBlock), requestsFor(action), close() }.
+// A scripted response is a JSON body, or { httpStatus } for a bare HTTP error.
+export async function startMockEtherscan({ headBlock = 1000, transfers = [] } = {}) {
+    const scripted = new Map();
+    const mock = {
+        url: null,
+        requests: [],
+        transfers,
+        headBlock,
+        reorgs: [],
+        
+        script(action, ...responses) {
+            if (!scripted.has(action)) scripted.set(action, []);
+            scripted.get(action).push(...responses);
+        },
+        
+        // Transfers are not touched: edit mock.transfers for what the new fork holds
+        reorg(fromBlock) {
+            mock.reorgs.push(fromBlock);
+        },
+        
+        requestsFor(action) {
+            return mock.requests.filter(params => params.action === action);
+        },
+        
+        close() {
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+    
+    const server = http.createServer((req, res) => {
+        const params = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+        mock.requests.push(params);
+        
+        const response = scripted.get(params.action)?.shift() ?? answer(mock, params);
+        if (response.httpStatus) {
+            res.statusCode = response.httpStatus;
+            res.end();
+            return;
+        }
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(response));
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    mock.url = `http://127.0.0.1:${server.address().port}/v2/api`;
+    return mock;
+}
@@ -0,0 +1,53 @@
+import { fileURLToPath } from 'node:url';
+import pg from 'pg';
+import { startMockEtherscan } from './mock-etherscan.js';
+import { TEST_DATABASE_URL, createFixtureDatabases } from './fixture-db.js';
+
+// The tracker wired to a mock Etherscan and throwaway fixture databases, for
+// the Postgres-backed tests. Each test file runs in its own process, so it
+// loads the tracker once with its own settings.
+export const skip = TEST_DATABASE_URL ? false : 'TEST_DATABASE_URL is not set';
+
+export const hash = (n) => '0x' + n.toString(16).padStart(64, '0');
+
+// Starts the mock with `transfers` up to `headBlock`, creates the databases,
+// loads payment-tracker.js with `env` over the defaults below (`config` names
+// a tracker config in test/support) and applies the migrations. Returns the
+// mock, the loaded tracker, a one-connection pool on the payments database
+// (db), the databases and close(), to be called once in after().
+export async function setupTrackerFixture({ headBlock, transfers, config = 'tracker.config.json', env = {} }) {
+    const mock = await startMockEtherscan({ headBlock, transfers });
+    const databases = await createFixtureDatabases();
+    
+    // Read when the tracker modules load
+    Object.assign(process.env, {
+        PAYMENTS_DATABASE_URL: databases.paymentsUrl,
+        INDEXER_DATABASE_URL: databases.indexerUrl,
+        TRACKER_CONFIG: fileURLToPath(new URL(`./${config}`, import.meta.url)),
+        ETHERSCAN_API_URL: mock.url,
+        ETHERSCAN_API_KEY: 'test-api-key-0123456789',
+        ETHERSCAN_CALLS_PER_SECOND: '1000',
+        RATE_LIMIT_DELAY_MS: '0',
+        RETRY_DELAY_MS: '10',
+        LOG_LEVEL: 'error',
+        ...env
+    });
+    const tracker = await import('../../payment-tracker.js');
+    const { runMigrations } = await import('../../migrations.js');
+    await runMigrations(tracker.ConnectionManager.getPaymentsPool());
+    
+    const db = new pg.Pool({ connectionString: databases.paymentsUrl, max: 1 });
+    
+    return {
+        mock,
+        tracker,
+        db,
+        databases,
+        async close() {
+            await db.end();
+            await tracker.ConnectionManager.closeAll();
+            await mock.close();
+            await databases.drop();
+        }
+    };
+}
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { loadTrackerConfig, normalizeTrackerConfig, patternToLike } from '../tracker-config.js';
+
+const USDC = { symbol: 'USDC', address: '0x833589FCD6EDB6E08F4C7C32D4F71B54BDA02913', decimals: 6 };
+const BASE = { chainId: 8453, name: 'base', tokens: [USDC] };
+
+test('config file overrides the defaults and lowercases token addresses', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tracker-config-'));
+    const file = path.join(dir, 'tracker.config.json');
+    fs.writeFileSync(file, JSON.stringify({
+        namespaces: ['grid.hypr', 'grid-beta.hypr'],
+        senderPatterns: ['grid-wallet.*'],
+        chains: [{
+            ...BASE,
+            tokens: [USDC, { symbol: 'USDbC', address: '0xd9aAEc86B65D86f6A7B5B1b0c42FFA531710b6CA', decimals: 6 }]
+        }]
+    }));
+    
+    try {
+        const config = loadTrackerConfig(file, null);
+        assert.deepEqual(config.namespaces, ['grid.hypr', 'grid-beta.hypr']);
+        assert.deepEqual(config.chains[0].tokens.map(token => token.address), [
+            '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913',
+            '0xd9aaec86b65d86f6a7b5b1b0c42ffa531710b6ca'
+        ]);
+    } finally {
+        fs.rmSync(dir, { recursive: true });
+    }
+});
+
+test('missing config file falls back to the defaults', () => {
+    const config = loadTrackerConfig('/nonexistent/tracker.config.json', {
+        namespaces: ['grid.hypr'],
+        senderPatterns: ['grid-wallet.*'],
+        chains: [BASE]
+    });
+    assert.deepEqual(config.namespaces, ['grid.hypr']);
+    assert.equal(config.chains[0].startBlock, 0);
+});
+
+test('chains inherit the data source defaults and expand ${VAR} in rpcUrl', () => {
+    process.env.TRACKER_CONFIG_TEST_KEY = 'secret';
+    const config = normalizeTrackerConfig({
+        namespaces: ['grid.hypr'],
+        senderPatterns: ['grid-wallet.*'],
+        chains: [BASE, { chainId: 10, source: 'rpc', rpcUrl: 'https://op.example/${TRACKER_CONFIG_TEST_KEY}', tokens: [USDC] }]
+    }, 'test', { source: 'etherscan', rpcUrl: 'https://base.example' });
+    
+    assert.deepEqual(config.chains.map(chain => [chain.chainId, chain.name, chain.source, chain.rpcUrl]), [
+        [8453, 'base', 'etherscan', 'https://base.example'],
+        [10, 'chain-10', 'rpc', 'https://op.example/secret']
+    ]);
+});
+
+test('invalid configs are rejected', () => {
+    const valid = { namespaces: ['grid.hypr'], senderPatterns: ['grid-wallet.*'], chains: [BASE] };
+    assert.throws(() => normalizeTrackerConfig({ ...valid, namespaces: [] }), /"namespaces" must be a non-empty array/);
+    assert.throws(() => normalizeTrackerConfig({ ...valid, chains: [BASE, BASE] }), /duplicate chainId/);
+    assert.throws(() => normalizeTrackerConfig({ ...valid, chains: [{ ...BASE, chainId: 'base' }] }), /positive integer chainId/);
+    assert.throws(() => normalizeTrackerConfig({ ...valid, chains: [{ ...BASE, tokens: [{ ...USDC, address: '0x12' }] }] }), /invalid address/);
+    assert.throws(() => normalizeTrackerConfig({ ...valid, chains: [{ ...BASE, tokens: [{ ...USDC, decimals: '6' }] }] }), /integer decimals/);
+    assert.throws(() => normalizeTrackerConfig({ ...valid, chains: [{ ...BASE, tokens: [{ symbol: 'DAI', address: '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb', decimals: 18 }] }] }), /DAI has 18 decimals/);
+    assert.throws(() => normalizeTrackerConfig({ ...valid, chains: [{ ...BASE, tokens: [USDC, USDC] }] }), /duplicate token/);
+});
+
+test('webhooks default to payment events and expand ${VAR} in the secret', () => {
+    process.env.TRACKER_CONFIG_TEST_SECRET = 'hook-secret';
+    const valid = { namespaces: ['grid.hypr'], senderPatterns: ['grid-wallet.*'], chains: [BASE] };
+    const config = normalizeTrackerConfig({
+        ...valid,
+        webhooks: [{ url: 'https://alpha.example/hook', secret: '${TRACKER_CONFIG_TEST_SECRET}', providers: ['alpha.grid.hypr'] }]
+    });
+    assert.deepEqual(config.webhooks, [{
+        url: 'https://alpha.example/hook',
+        secret: 'hook-secret',
+        events: ['payment.received'],
+        providers: ['alpha.grid.hypr']
+    }]);
+    assert.deepEqual(normalizeTrackerConfig(valid).webhooks, []);
+    
+    const hook = { url: 'https://alpha.example/hook', secret: 'x' };
+    assert.throws(() => normalizeTrackerConfig({ ...valid, webhooks: [{ ...hook, url: 'ftp://alpha.example' }] }), /http\(s\) url/);
+    assert.throws(() => normalizeTrackerConfig({ ...valid, webhooks: [{ ...hook, secret: '${TRACKER_CONFIG_UNSET}' }] }), /needs a secret/);
+    assert.throws(() => normalizeTrackerConfig({ ...valid, webhooks: [{ ...hook, events: ['payment.sent'] }] }), /events must be/);
+    assert.throws(() => normalizeTrackerConfig({ ...valid, webhooks: [hook, hook] }), /duplicate webhook url/);
+});
+
+test('filters are off unless configured and validated when they are', () => {
+    const valid = { namespaces: ['grid.hypr'], senderPatterns: ['grid-wallet.*'], chains: [BASE] };
+    assert.deepEqual(normalizeTrackerConfig(valid).filters, { minAmount: null, sameOwner: false, rate: null });
+    assert.deepEqual(normalizeTrackerConfig({
+        ...valid,
+        filters: { minAmount: 0.01, sameOwner: true, rate: { maxPayments: 20, windowSeconds: 3600 } }
+    }).filters, { minAmount: '0.01', sameOwner: true, rate: { maxPayments: 20, windowSeconds: 3600 } });
+    
+    assert.throws(() => normalizeTrackerConfig({ ...valid, filters: { minAmount: '-1' } }), /minAmount must be a non-negative amount/);
+    assert.throws(() => normalizeTrackerConfig({ ...valid, filters: { minAmount: 'ten' } }), /minAmount must be a non-negative amount/);
+    assert.throws(() => normalizeTrackerConfig({ ...valid, filters: { sameOwner: 'yes' } }), /sameOwner must be true or false/);
+    assert.throws(() => normalizeTrackerConfig({ ...valid, filters: { rate: { maxPayments: 0, windowSeconds: 60 } } }), /positive integer maxPayments/);
+});
+
+test('sender patterns become escaped LIKE patterns', () => {
+    assert.equal(patternToLike('grid-wallet.*'), 'grid-wallet.%');
+    assert.equal(patternToLike('agent_1.*'), 'agent\\_1.%');
+});
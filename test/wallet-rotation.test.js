@@ -0,0 +1,100 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import pg from 'pg';
+import { hypermap } from './support/fixture-db.js';
+import { hash, setupTrackerFixture, skip } from './support/tracker-fixture.js';
+
+// A provider's ~wallet note changing between runs: the new wallet takes over
+// from the note's block, even when that block has already been indexed
+
+const { alpha, beta } = hypermap.providers;
+const { alice, bob } = hypermap.senders;
+
+const NEW_ALPHA_WALLET = '0x' + 'a2'.padStart(40, '0');
+const NEW_BETA_WALLET = '0x' + 'b2'.padStart(40, '0');
+
+const transfers = [
+    { block: 100, from: alice.tba, to: alpha.wallet, value: 1000000, hash: hash(1) },
+    // alpha's note moves to the new wallet at block 150, after this run
+    { block: 200, from: bob.tba, to: alpha.wallet, value: 2000000, hash: hash(2) },
+    { block: 220, from: alice.tba, to: NEW_ALPHA_WALLET, value: 4000000, hash: hash(3) }
+];
+
+let fixture;
+let mock;
+let db;
+let indexer;
+let tracker;
+
+before(async () => {
+    if (skip) return;
+    
+    fixture = await setupTrackerFixture({ headBlock: 500, transfers, env: { BLOCK_SAFETY_BUFFER: '10' } });
+    ({ mock, db, tracker } = fixture);
+    indexer = new pg.Pool({ connectionString: fixture.databases.indexerUrl, max: 1 });
+});
+
+after(async () => {
+    if (skip) return;
+    await indexer.end();
+    await fixture.close();
+});
+
+async function setWallet(provider, wallet, blockNumber) {
+    await indexer.query(`
+        UPDATE notes SET interpreted_data = $2, block_number = $3
+        WHERE entry_hash = $1 AND label = '~wallet'
+    `, [provider.namehash, wallet, blockNumber]);
+}
+
+async function wallets(provider) {
+    const result = await db.query(`
+        SELECT wallet_address, valid_from_block, valid_to_block FROM provider_wallets
+        WHERE provider_entry_namehash = $1
+        ORDER BY valid_from_block
+    `, [provider.namehash]);
+    return result.rows.map(row => [row.wallet_address, Number(row.valid_from_block), row.valid_to_block === null ? null : Number(row.valid_to_block)]);
+}
+
+test('a wallet rotated inside the indexed range takes over from the note block', { skip }, async () => {
+    await tracker.runPaymentTracker();
+    
+    // An indexer that records the block each note was set in
+    await indexer.query('ALTER TABLE notes ADD COLUMN block_number BIGINT');
+    await setWallet(alpha, NEW_ALPHA_WALLET, 150);
+    mock.transfers.push(
+        { block: 520, from: alice.tba, to: alpha.wallet, value: 8000000, hash: hash(4) },
+        { block: 530, from: bob.tba, to: NEW_ALPHA_WALLET, value: 16000000, hash: hash(5) }
+    );
+    mock.headBlock = 600;
+    
+    await tracker.runPaymentTracker();
+    
+    assert.deepEqual(await wallets(alpha), [[alpha.wallet, 0, 149], [NEW_ALPHA_WALLET, 150, null]]);
+    const stored = await db.query('SELECT tx_hash, to_address FROM hypermap_transactions ORDER BY block_number');
+    assert.deepEqual(stored.rows.map(row => [row.tx_hash, row.to_address]), [
+        [hash(1), alpha.wallet],
+        [hash(3), NEW_ALPHA_WALLET],
+        [hash(5), NEW_ALPHA_WALLET]
+    ]);
+    
+    const reverted = await db.query("SELECT payload->>'tx_hash' AS tx_hash FROM payment_events WHERE event_type = 'payment.reverted'");
+    assert.deepEqual(reverted.rows.map(row => row.tx_hash), [hash(2)]);
+    
+    const leaderboard = await db.query(`
+        SELECT total_usdc_received, transaction_count, unique_sender_count, wallet_address
+        FROM provider_leaderboard WHERE provider_entry_namehash = $1
+    `, [alpha.namehash]);
+    assert.deepEqual(leaderboard.rows[0], { total_usdc_received: '21.000000', transaction_count: 3, unique_sender_count: 2, wallet_address: NEW_ALPHA_WALLET });
+    
+    const queued = await db.query('SELECT COUNT(*)::int AS count FROM provider_retry_queue');
+    assert.equal(queued.rows[0].count, 0);
+});
+
+test('a rotation is recorded when there are no new blocks, from the cursor without a note block', { skip }, async () => {
+    await setWallet(beta, NEW_BETA_WALLET, null);
+    
+    await tracker.runPaymentTracker();
+    
+    assert.deepEqual(await wallets(beta), [[beta.wallet, 0, 590], [NEW_BETA_WALLET, 591, null]]);
+});
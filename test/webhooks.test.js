@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { deliverPendingWebhooks, retryDelayMs, signPayload } from '../webhooks.js';
+
+// Receiver that answers with the status for its path and keeps every request
+async function startReceiver() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            requests.push({ path: req.url, headers: req.headers, body });
+            res.writeHead(req.url === '/ok' ? 204 : 500);
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, requests, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+// Stand-in pool: hands out the due deliveries once, then records the updates
+function deliveryPool(due) {
+    const updates = [];
+    return {
+        updates,
+        async query(sql, params) {
+            if (sql.includes('WITH leased')) {
+                const rows = due.splice(0, params[0]);
+                return { rows };
+            }
+            updates.push({ id: params[0], status: params[1], attempts: params[2], responseStatus: params[3], error: params[4], delayMs: params[5] });
+            return { rows: [] };
+        }
+    };
+}
+
+function delivery(id, url, attempts = 0) {
+    return {
+        id,
+        event_id: 40 + id,
+        webhook_url: url,
+        attempts,
+        event_type: 'payment.received',
+        payload: { tx_hash: '0x01', value_usdc: '1.500000' },
+        created_at: new Date('2024-01-01T00:00:00Z')
+    };
+}
+
+test('deliveries are signed and logged, failures back off until they give up', async () => {
+    const receiver = await startReceiver();
+    const ok = { url: `${receiver.url}/ok`, secret: 'shh', events: ['payment.received'], providers: null };
+    const down = { url: `${receiver.url}/down`, secret: 'shh', events: ['payment.received'], providers: null };
+    const pool = deliveryPool([
+        delivery(1, ok.url),
+        delivery(2, down.url),
+        delivery(3, down.url, 2),
+        delivery(4, 'https://removed.example/hook')
+    ]);
+    
+    try {
+        const summary = await deliverPendingWebhooks(pool, [ok, down], { maxAttempts: 3, retryBaseMs: 1000 });
+        assert.deepEqual(summary, { delivered: 1, retrying: 1, failed: 2 });
+        
+        const signed = receiver.requests.find(request => request.path === '/ok');
+        assert.equal(signed.headers['x-hypergrid-event'], 'payment.received');
+        assert.equal(signed.headers['x-hypergrid-signature'], signPayload('shh', signed.headers['x-hypergrid-timestamp'], signed.body));
+        assert.deepEqual(JSON.parse(signed.body), {
+            id: 41,
+            type: 'payment.received',
+            created_at: '2024-01-01T00:00:00.000Z',
+            data: { tx_hash: '0x01', value_usdc: '1.500000' }
+        });
+        
+        assert.deepEqual(pool.updates.map(update => [update.id, update.status, update.attempts, update.responseStatus]), [
+            [1, 'delivered', 1, 204],
+            [2, 'pending', 1, 500],
+            [3, 'failed', 3, 500],
+            [4, 'failed', 1, null]
+        ]);
+        assert.equal(pool.updates[1].delayMs, 1000);
+        assert.match(pool.updates[3].error, /no longer configured/);
+    } finally {
+        receiver.server.close();
+    }
+});
+
+test('retry delay doubles with every attempt', () => {
+    assert.deepEqual([1, 2, 3, 4].map(attempts => retryDelayMs(attempts, 30000)), [30000, 60000, 120000, 240000]);
+});
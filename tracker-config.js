@@ -0,0 +1,204 @@
+import fs from 'node:fs';
+import { EVENT_TYPES } from './events.js';
+import { parseUnits } from './amounts.js';
+
+// Matching rules for what counts as a tracked payment, read from a JSON file
+// (TRACKER_CONFIG, default tracker.config.json):
+//   namespaces     - Hypermap names whose direct children are providers
+//   senderPatterns - TBA full_name patterns allowed to pay, `*` as wildcard
+//   chains         - chains to index, each with its own cursor:
+//     chainId      - EVM chain id (also passed to Etherscan v2)
+//     name         - label for logs (default chain-<chainId>)
+//     source       - etherscan or rpc (default DATA_SOURCE)
+//     rpcUrl       - JSON-RPC endpoint, ${VAR} is read from the environment
+//                    (default RPC_URL)
+//     startBlock   - first block to index on a fresh database (default 0)
+//     tokens       - accepted ERC-20 tokens: { symbol, address, decimals },
+//                    decimals must be 6
+//   webhooks       - optional HTTP endpoints notified of payment events:
+//     url          - http(s) URL that receives signed POSTs
+//     secret       - HMAC signing key, ${VAR} is read from the environment
+//     events       - event types to send (default ["payment.received"])
+//     providers    - only events for these provider names (default all)
+//   filters        - optional rules for payments kept out of the leaderboards
+//                    (see filters.js), each off unless set:
+//     minAmount    - payments below this many tokens are dust, e.g. "0.01"
+//     sameOwner    - true to flag payments whose sender TBA and provider
+//                    ~wallet (as of that block) lead to the same account,
+//                    following each TBA's entries.owner, or its parent's TBA
+//                    where the indexer has no owner, up to an account that
+//                    is not an owned TBA
+//     rate         - { maxPayments, windowSeconds }: payments from one sender
+//                    to one provider beyond maxPayments in the window,
+//                    counted against the payments already stored
+// Token amounts are stored in value_usdc (6 decimal places) and summed 1:1
+// into the leaderboard totals, so only USD-pegged tokens with 6 decimals
+// belong in the lists; an 18-decimal stablecoin would be rounded.
+
+export function loadTrackerConfig(filePath, defaults, chainDefaults = {}) {
+    if (!fs.existsSync(filePath)) {
+        return normalizeTrackerConfig(defaults, 'default config', chainDefaults);
+    }
+    
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read tracker config ${filePath}: ${error.message}`);
+    }
+    return normalizeTrackerConfig(raw, filePath, chainDefaults);
+}
+
+export function normalizeTrackerConfig(raw, origin = 'tracker config', chainDefaults = {}) {
+    const namespaces = requireList(raw, 'namespaces', origin);
+    const senderPatterns = requireList(raw, 'senderPatterns', origin);
+    const chains = requireList(raw, 'chains', origin);
+    
+    for (const value of [...namespaces, ...senderPatterns]) {
+        if (typeof value !== 'string' || value.trim() === '') {
+            throw new Error(`${origin}: namespaces and senderPatterns must be non-empty strings`);
+        }
+    }
+    
+    const normalizedChains = chains.map(chain => normalizeChain({ ...chainDefaults, ...chain }, origin));
+    const chainIds = new Set(normalizedChains.map(chain => chain.chainId));
+    if (chainIds.size !== normalizedChains.length) {
+        throw new Error(`${origin}: duplicate chainId`);
+    }
+    
+    if (raw.webhooks !== undefined && !Array.isArray(raw.webhooks)) {
+        throw new Error(`${origin}: "webhooks" must be an array`);
+    }
+    const webhooks = (raw.webhooks || []).map(webhook => normalizeWebhook(webhook, origin));
+    if (new Set(webhooks.map(webhook => webhook.url)).size !== webhooks.length) {
+        throw new Error(`${origin}: duplicate webhook url`);
+    }
+    
+    return {
+        namespaces: namespaces.map(name => name.trim()),
+        senderPatterns: senderPatterns.map(pattern => pattern.trim()),
+        chains: normalizedChains,
+        webhooks,
+        filters: normalizeFilters(raw.filters ?? {}, origin)
+    };
+}
+
+function normalizeFilters(filters, origin) {
+    if (typeof filters !== 'object' || Array.isArray(filters)) {
+        throw new Error(`${origin}: "filters" must be an object`);
+    }
+    
+    const minAmount = filters.minAmount ?? null;
+    if (minAmount !== null) {
+        let value;
+        try {
+            value = parseUnits(String(minAmount), 36);
+        } catch {
+            value = -1n;
+        }
+        if (value < 0n) {
+            throw new Error(`${origin}: filters.minAmount must be a non-negative amount`);
+        }
+    }
+    
+    if (filters.sameOwner !== undefined && typeof filters.sameOwner !== 'boolean') {
+        throw new Error(`${origin}: filters.sameOwner must be true or false`);
+    }
+    
+    const rate = filters.rate ?? null;
+    if (rate !== null) {
+        if (!Number.isInteger(rate.maxPayments) || rate.maxPayments < 1 ||
+            !Number.isInteger(rate.windowSeconds) || rate.windowSeconds < 1) {
+            throw new Error(`${origin}: filters.rate needs positive integer maxPayments and windowSeconds`);
+        }
+    }
+    
+    return {
+        minAmount: minAmount === null ? null : String(minAmount),
+        sameOwner: filters.sameOwner ?? false,
+        rate: rate && { maxPayments: rate.maxPayments, windowSeconds: rate.windowSeconds }
+    };
+}
+
+function normalizeWebhook(webhook, origin) {
+    if (!/^https?:\/\/\S+$/.test(webhook.url || '')) {
+        throw new Error(`${origin}: every webhook needs an http(s) url`);
+    }
+    const label = `${origin}: webhook ${webhook.url}`;
+    
+    const secret = typeof webhook.secret === 'string' ? expandEnv(webhook.secret) : '';
+    if (secret === '') {
+        throw new Error(`${label} needs a secret`);
+    }
+    
+    const events = webhook.events ?? ['payment.received'];
+    if (!Array.isArray(events) || events.length === 0 || events.some(event => !EVENT_TYPES.includes(event))) {
+        throw new Error(`${label}: events must be a non-empty list of ${EVENT_TYPES.join(', ')}`);
+    }
+    if (webhook.providers !== undefined && !Array.isArray(webhook.providers)) {
+        throw new Error(`${label}: providers must be an array`);
+    }
+    
+    return { url: webhook.url, secret, events, providers: webhook.providers || null };
+}
+
+function normalizeChain(chain, origin) {
+    const chainId = Number(chain.chainId);
+    if (!Number.isInteger(chainId) || chainId <= 0) {
+        throw new Error(`${origin}: every chain needs a positive integer chainId`);
+    }
+    const label = `${origin}: chain ${chainId}`;
+    
+    const startBlock = chain.startBlock ?? 0;
+    if (!Number.isInteger(startBlock) || startBlock < 0) {
+        throw new Error(`${label} needs a non-negative integer startBlock`);
+    }
+    
+    const tokens = requireList(chain, 'tokens', label).map(token => {
+        if (typeof token.symbol !== 'string' || token.symbol === '') {
+            throw new Error(`${label}: every token needs a symbol`);
+        }
+        if (!/^0x[0-9a-fA-F]{40}$/.test(token.address || '')) {
+            throw new Error(`${label}: token ${token.symbol} has an invalid address`);
+        }
+        if (!Number.isInteger(token.decimals) || token.decimals < 0 || token.decimals > 36) {
+            throw new Error(`${label}: token ${token.symbol} needs integer decimals`);
+        }
+        if (token.decimals !== 6) {
+            throw new Error(`${label}: token ${token.symbol} has ${token.decimals} decimals; amounts are stored with 6, so only 6-decimal tokens are supported`);
+        }
+        return { symbol: token.symbol, address: token.address.toLowerCase(), decimals: token.decimals };
+    });
+    
+    const addresses = new Set(tokens.map(token => token.address));
+    if (addresses.size !== tokens.length) {
+        throw new Error(`${label}: duplicate token address`);
+    }
+    
+    return {
+        chainId,
+        name: chain.name || `chain-${chainId}`,
+        source: chain.source,
+        rpcUrl: chain.rpcUrl ? expandEnv(chain.rpcUrl) : chain.rpcUrl,
+        startBlock,
+        tokens
+    };
+}
+
+function requireList(raw, key, origin) {
+    const value = raw?.[key];
+    if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`${origin}: "${key}" must be a non-empty array`);
+    }
+    return value;
+}
+
+// 'https://base.example/${BASE_RPC_KEY}' -> value of BASE_RPC_KEY substituted
+function expandEnv(value) {
+    return value.replace(/\$\{(\w+)\}/g, (_, name) => process.env[name] || '');
+}
+
+// 'grid-wallet.*' -> 'grid-wallet.%' (SQL LIKE, with literal % and _ escaped)
+export function patternToLike(pattern) {
+    return pattern.replace(/[\\%_]/g, char => '\\' + char).replace(/\*/g, '%');
+}
@@ -0,0 +1,129 @@
+import crypto from 'node:crypto';
+import fetch from 'node-fetch';
+import { logger, redact } from './logger.js';
+
+// Outbound webhook delivery from the webhook_deliveries log. Each request is
+// signed with the webhook's secret:
+//   X-Hypergrid-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+// Failed deliveries are retried with exponential backoff until
+// WEBHOOK_MAX_ATTEMPTS, then marked failed.
+const WEBHOOK_BATCH_SIZE = parseInt(process.env.WEBHOOK_BATCH_SIZE || '50');
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000');
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8');
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '30000');
+
+const log = logger.child({ component: 'webhooks' });
+
+export function signPayload(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Delay before the next attempt after `attempts` failures
+export function retryDelayMs(attempts, baseMs = WEBHOOK_RETRY_BASE_MS) {
+    return baseMs * Math.pow(2, attempts - 1);
+}
+
+async function postEvent(webhook, delivery) {
+    const body = JSON.stringify({
+        id: delivery.event_id,
+        type: delivery.event_type,
+        created_at: delivery.created_at,
+        data: delivery.payload
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+    
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'hypergrid-payment-tracker',
+                'X-Hypergrid-Event': delivery.event_type,
+                'X-Hypergrid-Delivery': String(delivery.id),
+                'X-Hypergrid-Timestamp': String(timestamp),
+                'X-Hypergrid-Signature': signPayload(webhook.secret, timestamp, body)
+            },
+            body,
+            signal: controller.signal
+        });
+        return { status: response.status, error: response.ok ? null : `HTTP ${response.status}` };
+    } catch (error) {
+        return { status: null, error: error.name === 'AbortError' ? `Timed out after ${WEBHOOK_TIMEOUT_MS}ms` : error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Send every due delivery. Deliveries are leased before sending so
+// overlapping workers never post the same delivery twice at once.
+export async function deliverPendingWebhooks(pool, webhooks, options = {}) {
+    const { batchSize = WEBHOOK_BATCH_SIZE, maxAttempts = WEBHOOK_MAX_ATTEMPTS, retryBaseMs = WEBHOOK_RETRY_BASE_MS } = options;
+    const webhooksByUrl = new Map(webhooks.map(webhook => [webhook.url, webhook]));
+    const summary = { delivered: 0, retrying: 0, failed: 0 };
+    
+    while (true) {
+        const due = await pool.query(`
+            WITH leased AS (
+                UPDATE webhook_deliveries
+                SET next_attempt_at = NOW() + $2 * INTERVAL '1 millisecond'
+                WHERE id IN (
+                    SELECT id FROM webhook_deliveries
+                    WHERE status = 'pending' AND next_attempt_at <= NOW()
+                    ORDER BY id
+                    LIMIT $1
+                    FOR UPDATE SKIP LOCKED
+                )
+                RETURNING id, event_id, webhook_url, attempts
+            )
+            SELECT l.id, l.event_id, l.webhook_url, l.attempts, e.event_type, e.payload, e.created_at
+            FROM leased l
+            JOIN payment_events e ON e.id = l.event_id
+            ORDER BY l.id
+        `, [batchSize, WEBHOOK_TIMEOUT_MS * 2]);
+        
+        for (const delivery of due.rows) {
+            const webhook = webhooksByUrl.get(delivery.webhook_url);
+            const attempts = delivery.attempts + 1;
+            const result = webhook
+                ? await postEvent(webhook, delivery)
+                : { status: null, error: 'Webhook is no longer configured' };
+            
+            let status = 'pending';
+            if (!result.error) {
+                status = 'delivered';
+                summary.delivered++;
+            } else if (!webhook || attempts >= maxAttempts) {
+                status = 'failed';
+                summary.failed++;
+                log.warn('Webhook delivery failed for good', {
+                    delivery_id: delivery.id,
+                    event_id: delivery.event_id,
+                    url: delivery.webhook_url,
+                    attempts,
+                    error: result.error
+                });
+            } else {
+                summary.retrying++;
+            }
+            
+            await pool.query(`
+                UPDATE webhook_deliveries
+                SET
+                    status = $2::text,
+                    attempts = $3,
+                    last_attempt_at = NOW(),
+                    response_status = $4,
+                    last_error = $5,
+                    delivered_at = CASE WHEN $2::text = 'delivered' THEN NOW() END,
+                    next_attempt_at = NOW() + $6 * INTERVAL '1 millisecond'
+                WHERE id = $1
+            `, [delivery.id, status, attempts, result.status, result.error && redact(result.error), retryDelayMs(attempts, retryBaseMs)]);
+        }
+        
+        if (due.rows.length < batchSize) {
+            return summary;
+        }
+    }
+}